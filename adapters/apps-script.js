@@ -0,0 +1,411 @@
+import { SpreadsheetUnavailableError } from '../errors.js';
+import { withRetry } from '../retry.js';
+
+/**
+ * @typedef {GoogleAppsScript.Spreadsheet.Spreadsheet} Spreadsheet
+ * @typedef {GoogleAppsScript.Spreadsheet.Sheet} Sheet
+ * @typedef {GoogleAppsScript.Drive.File} File
+ * @typedef {import('./storage-adapter.js').StorageAdapter} StorageAdapter
+ * @typedef {import('./storage-adapter.js').NamedRange} NamedRange
+ * @typedef {import('./storage-adapter.js').DataValidationRule} DataValidationRule
+ * @typedef {import('../retry.js').RetryPolicy} RetryPolicy
+ * @typedef {import('../retry.js').RetryOperation} RetryOperation
+ */
+
+/**
+ * Converte a regra de validação em uma regra do SpreadsheetApp.
+ * @param {DataValidationRule} rule
+ * @param {boolean} allowInvalid
+ * @returns {GoogleAppsScript.Spreadsheet.DataValidation}
+ */
+const buildDataValidation = (rule, allowInvalid) => {
+  const builder = SpreadsheetApp.newDataValidation();
+  const { max, min } = rule;
+
+  if (rule.type === 'list') builder.requireValueInList(rule.values.map(String), true);
+  else if (rule.type === 'formula') builder.requireFormulaSatisfied(rule.formula);
+  else if (min && max) builder.requireDateBetween(min, max);
+  else if (min) builder.requireDateOnOrAfter(min);
+  else if (max) builder.requireDateOnOrBefore(max);
+  else builder.requireDate();
+
+  return builder.setAllowInvalid(allowInvalid).build();
+};
+
+/**
+ * @param {any[]} arrayA
+ * @param {any[]} arrayB
+ * @returns {any[]}
+ */
+export const mergeThreeDimensionalArrays = (arrayA, arrayB) => {
+  const mergeTwoDimentionalArrays = (arrayA, arrayB) => {
+    const biggestArray = arrayA.length >= arrayB.length ? arrayA : arrayB;
+    const smallestArray = arrayA.length >= arrayB.length ? arrayB : arrayA;
+
+    return biggestArray.map((value, index) => value || smallestArray[index]);
+  };
+
+  if(arrayA.length !== arrayB.length)
+    throw new Error('Arrays A and B must have the same size');
+
+  return arrayA.map((arrayRowA, index) => {
+    const arrayRowB = arrayB[index];
+    if(arrayRowA.length !== arrayRowB.length){
+      throw new Error('The rows from array A and B with index ${rowIndex} has different sizes');
+    }
+    return mergeTwoDimentionalArrays(arrayRowA, arrayRowB);
+  });
+};
+
+/**
+ * Executa a chamada com novas tentativas e, se ela continuar falhando, registra
+ * o último erro e lança o erro criado por "createError".
+ * @template T
+ * @param {string} operation
+ * @param {() => T} fn
+ * @param {RetryPolicy} retryPolicy
+ * @param {(attempts: number) => Error} createError
+ * @returns {T}
+ */
+const callSafely = (operation, fn, retryPolicy, createError) => {
+  let attempts = 0;
+
+  try {
+    return withRetry(operation, () => {
+      attempts++;
+      return fn();
+    }, retryPolicy);
+  } catch (e) {
+    const error = createError(attempts);
+    console.error(`${error.message}. Erro:\n${e}`);
+    throw error;
+  }
+};
+
+/**
+ * @param {string} ssId
+ * @param {RetryPolicy} [retryPolicy] - Padrão: a política definida com setRetryPolicy().
+ * @returns {Spreadsheet}
+ */
+export const safelyOpenSpreadsheetById = (ssId, retryPolicy = undefined) => {
+  return callSafely('openById', () => SpreadsheetApp.openById(ssId), retryPolicy, (attempts) => {
+    return new SpreadsheetUnavailableError('SPREADSHEET_UNAVAILABLE', { attempts, ssId });
+  });
+};
+
+/**
+ *
+ * @param {Spreadsheet} ss
+ * @param {string} sheetName
+ * @param {RetryPolicy} [retryPolicy] - Padrão: a política definida com setRetryPolicy().
+ * @returns {Sheet}
+ */
+export const safelyGetSheetByName = (ss, sheetName, retryPolicy = undefined) => {
+  return callSafely('getSheetByName', () => ss.getSheetByName(sheetName), retryPolicy, (attempts) => {
+    return new SpreadsheetUnavailableError('SHEET_UNAVAILABLE', { attempts, sheetName });
+  });
+};
+
+/**
+ * Cria um arquivo PDF com o conteúdo de uma planilha.
+ * @param {string} fileName O nome do arquivo que será criado
+ * @param {Sheet} sheet
+ * @param {string} ssId
+ * @param {RetryPolicy} [retryPolicy] - Usada na exportação. Padrão: a política definida com setRetryPolicy().
+ * @returns {File} O arquivo PDF criado
+ */
+export const getPDFFromSheet = (fileName, sheet, ssId, retryPolicy = undefined) => {
+  SpreadsheetApp.flush();
+
+  const sheetIsHidden = sheet.isSheetHidden();
+
+  //Se a planilha estava oculta, é necessário mostrá-la para gerar o PDF
+  sheet.showSheet().activate();
+
+  const ss = sheet.getParent();
+
+  const parents = DriveApp.getFileById(ssId).getParents();
+  const folder = parents.hasNext()
+    ? parents.next()
+    : DriveApp.getRootFolder();
+
+  const url = ss.getUrl();
+
+  const exportUrl =
+    url.replace(/\/edit.*$/, '') +
+    '/export?exportFormat=pdf&format=pdf' +
+    '&size=A4' +
+    '&portrait=true' +
+    '&fitw=true' +
+    '&top_margin=0.75' +
+    '&bottom_margin=0.75' +
+    '&left_margin=0.7' +
+    '&right_margin=0.7' +
+    '&sheetnames=false&printtitle=false' +
+    '&pagenum=false' +
+    '&gridlines=true' +
+    '&fzr=FALSE' +
+    '&gid=' +
+    sheet.getSheetId();
+
+  const response = withRetry('exportPdf', () => UrlFetchApp.fetch(exportUrl, {
+    headers: {
+      Authorization: 'Bearer ' + ScriptApp.getOAuthToken(),
+    },
+  }), retryPolicy);
+  const blob = response.getBlob();
+
+  if (sheetIsHidden) sheet.hideSheet();
+
+  return folder.createFile(blob.setName(fileName));
+};
+
+/**
+ * Adaptador de armazenamento que lê e grava em uma aba do Google Sheets pelo
+ * SpreadsheetApp. É o adaptador padrão de SSheet.
+ *
+ * Todas as chamadas ao SpreadsheetApp são tentadas de novo conforme a política
+ * de novas tentativas. Inserções e exclusões de linhas e células não são
+ * idempotentes e só são repetidas depois de erros de limite de uso.
+ * @implements {StorageAdapter}
+ */
+export class AppsScriptAdapter {
+  /**
+   * @param {{sheetName: string, ssId: string, retryPolicy?: RetryPolicy}} params
+   */
+  constructor({ retryPolicy, sheetName, ssId }) {
+    /**
+     * @type {string}
+     * @private
+     */
+    this._sheetName = sheetName;
+
+    /**
+     * @type {string}
+     * @private
+     */
+    this._ssId = ssId;
+
+    /**
+     * @type {RetryPolicy}
+     * @private
+     */
+    this._retryPolicy = retryPolicy;
+
+    /**
+     * @type {Sheet}
+     * @private
+     */
+    this._sheet = undefined;
+
+    /**
+     * @type {Spreadsheet}
+     * @private
+     */
+    this._spreadsheet = undefined;
+  }
+
+  /**
+   * @returns {RetryPolicy}
+   */
+  get retryPolicy() {
+    return this._retryPolicy;
+  }
+
+  /**
+   * @param {RetryPolicy} retryPolicy - undefined para usar a política definida com setRetryPolicy().
+   * @returns {void}
+   */
+  set retryPolicy(retryPolicy) {
+    this._retryPolicy = retryPolicy;
+  }
+
+  /**
+   * @returns {Sheet}
+   * @readonly
+   */
+  get sheet() {
+    if (!this._sheet) {
+      this._sheet = safelyGetSheetByName(this.spreadsheet, this._sheetName, this._retryPolicy);
+    }
+    return this._sheet;
+  }
+
+  /**
+   * @returns {Spreadsheet}
+   * @readonly
+   */
+  get spreadsheet() {
+    if (!this._spreadsheet) {
+      this._spreadsheet = safelyOpenSpreadsheetById(this._ssId, this._retryPolicy);
+    }
+    return this._spreadsheet;
+  }
+
+  /**
+   * @template T
+   * @param {string|RetryOperation} operation
+   * @param {() => T} fn
+   * @returns {T}
+   * @private
+   */
+  call(operation, fn) {
+    return withRetry(operation, fn, this._retryPolicy);
+  }
+
+  /**
+   * @param {number} row
+   * @param {number} column
+   * @param {number} numRows
+   * @param {number} numColumns
+   * @returns {any[][]}
+   */
+  getValues(row, column, numRows, numColumns) {
+    return this.call('getValues', () => this.sheet.getRange(row, column, numRows, numColumns).getValues());
+  }
+
+  /**
+   * Retorna as fórmulas em notação A1 ou, se não houver, em notação R1C1.
+   * @param {number} row
+   * @param {number} column
+   * @param {number} numRows
+   * @param {number} numColumns
+   * @returns {string[][]}
+   */
+  getFormulas(row, column, numRows, numColumns) {
+    return this.call('getFormulas', () => {
+      const range = this.sheet.getRange(row, column, numRows, numColumns);
+      return mergeThreeDimensionalArrays(range.getFormulas(), range.getFormulasR1C1());
+    });
+  }
+
+  /**
+   * @param {number} row
+   * @param {number} column
+   * @param {any[][]} values
+   * @returns {void}
+   */
+  setValues(row, column, values) {
+    this.call('setValues', () => this.sheet.getRange(row, column, values.length, values[0].length).setValues(values));
+  }
+
+  /**
+   * @returns {number}
+   */
+  getLastRow() {
+    return this.call('getLastRow', () => this.sheet.getLastRow());
+  }
+
+  /**
+   * @returns {number}
+   */
+  getLastColumn() {
+    return this.call('getLastColumn', () => this.sheet.getLastColumn());
+  }
+
+  /**
+   * @param {number} afterPosition
+   * @param {number} howMany
+   * @returns {void}
+   */
+  insertRowsAfter(afterPosition, howMany) {
+    this.call({ idempotent: false, name: 'insertRowsAfter' }, () => this.sheet.insertRowsAfter(afterPosition, howMany));
+  }
+
+  /**
+   * @param {number} rowPosition
+   * @param {number} howMany
+   * @returns {void}
+   */
+  deleteRows(rowPosition, howMany) {
+    this.call({ idempotent: false, name: 'deleteRows' }, () => this.sheet.deleteRows(rowPosition, howMany));
+  }
+
+  /**
+   * @param {number} row
+   * @param {number} column
+   * @param {number} numRows
+   * @param {number} numColumns
+   * @returns {void}
+   */
+  deleteCells(row, column, numRows, numColumns) {
+    this.call({ idempotent: false, name: 'deleteCells' }, () => {
+      this.sheet.getRange(row, column, numRows, numColumns).deleteCells(SpreadsheetApp.Dimension.ROWS);
+    });
+  }
+
+  /**
+   * @param {number} row
+   * @param {number} column
+   * @param {number} numRows
+   * @param {number} numColumns
+   * @returns {void}
+   */
+  insertCells(row, column, numRows, numColumns) {
+    this.call({ idempotent: false, name: 'insertCells' }, () => {
+      this.sheet.getRange(row, column, numRows, numColumns).insertCells(SpreadsheetApp.Dimension.ROWS);
+    });
+  }
+
+  /**
+   * @param {string} name
+   * @returns {NamedRange|undefined} undefined se o intervalo não existir ou estiver em outra aba.
+   */
+  getNamedRange(name) {
+    const range = this.call('getRangeByName', () => this.spreadsheet.getRangeByName(name));
+
+    if (!range || range.getSheet().getName() !== this._sheetName) return undefined;
+
+    return {
+      column: range.getColumn(),
+      numColumns: range.getNumColumns(),
+      numRows: range.getNumRows(),
+      row: range.getRow(),
+    };
+  }
+
+  /**
+   * @param {string} name
+   * @param {NamedRange} range
+   * @returns {void}
+   */
+  setNamedRange(name, { column, numColumns, numRows, row }) {
+    this.call('setNamedRange', () => {
+      this.spreadsheet.setNamedRange(name, this.sheet.getRange(row, column, numRows, numColumns));
+    });
+  }
+
+  /**
+   * @param {number} row
+   * @param {number} column
+   * @param {number|undefined} numRows - undefined para ir até a última linha da aba.
+   * @param {number} numColumns
+   * @param {DataValidationRule|null} rule - null para remover a regra.
+   * @param {{ allowInvalid?: boolean }} [options]
+   * @returns {void}
+   */
+  setDataValidation(row, column, numRows, numColumns, rule, { allowInvalid = false } = {}) {
+    this.call('setDataValidation', () => {
+      const rows = numRows === undefined ? Math.max(this.sheet.getMaxRows() - row + 1, 1) : numRows;
+      const range = this.sheet.getRange(row, column, rows, numColumns);
+
+      if (rule) range.setDataValidation(buildDataValidation(rule, allowInvalid));
+      else range.clearDataValidations();
+    });
+  }
+
+  /**
+   * @returns {void}
+   */
+  flush() {
+    this.call('flush', () => SpreadsheetApp.flush());
+  }
+
+  /**
+   * @param {string} fileName
+   * @returns {File}
+   */
+  exportPdf(fileName) {
+    return getPDFFromSheet(fileName, this.sheet, this._ssId, this._retryPolicy);
+  }
+}
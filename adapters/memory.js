@@ -0,0 +1,258 @@
+/**
+ * @typedef {import('./storage-adapter.js').StorageAdapter} StorageAdapter
+ * @typedef {import('./storage-adapter.js').NamedRange} NamedRange
+ */
+
+/**
+ * Adaptador de armazenamento que mantém os valores em memória. Permite usar
+ * SSheet fora do Apps Script, por exemplo em testes no Node.js.
+ * @implements {StorageAdapter}
+ */
+export class MemoryAdapter {
+  /**
+   * @param {{values?: any[][], formulas?: string[][], namedRanges?: Object<string, NamedRange>}} [params] -
+   * Os valores iniciais, incluindo a linha do cabeçalho, e as fórmulas e os intervalos nomeados opcionais.
+   */
+  constructor({ formulas = [], namedRanges = {}, values = [] } = {}) {
+    /**
+     * @type {any[][]}
+     * @private
+     */
+    this._values = values.map((rowData) => [...rowData]);
+
+    /**
+     * @type {string[][]}
+     * @private
+     */
+    this._formulas = formulas.map((rowData) => [...rowData]);
+
+    /**
+     * @type {Object<string, NamedRange>}
+     * @private
+     */
+    this._namedRanges = Object.entries(namedRanges).reduce((obj, [name, range]) => {
+      obj[name] = { ...range };
+      return obj;
+    }, {});
+  }
+
+  /**
+   * Uma cópia dos valores armazenados.
+   * @returns {any[][]}
+   * @readonly
+   */
+  get values() {
+    return this._values.map((rowData) => [...rowData]);
+  }
+
+  /**
+   * @param {number} row
+   * @param {number} column
+   * @param {number} numRows
+   * @param {number} numColumns
+   * @returns {any[][]}
+   */
+  getValues(row, column, numRows, numColumns) {
+    return this.getRange(this._values, row, column, numRows, numColumns);
+  }
+
+  /**
+   * @param {number} row
+   * @param {number} column
+   * @param {number} numRows
+   * @param {number} numColumns
+   * @returns {string[][]}
+   */
+  getFormulas(row, column, numRows, numColumns) {
+    return this.getRange(this._formulas, row, column, numRows, numColumns);
+  }
+
+  /**
+   * @param {number} row
+   * @param {number} column
+   * @param {any[][]} values
+   * @returns {void}
+   */
+  setValues(row, column, values) {
+    values.forEach((rowData, rowIndex) => {
+      const target = this._values[row - 1 + rowIndex] = this._values[row - 1 + rowIndex] || [];
+
+      for (let index = target.length; index < column - 1; index++) target[index] = '';
+
+      rowData.forEach((value, colIndex) => {
+        target[column - 1 + colIndex] = value;
+      });
+    });
+
+    for (let index = 0; index < this._values.length; index++) {
+      this._values[index] = this._values[index] || [];
+    }
+  }
+
+  /**
+   * @returns {number}
+   */
+  getLastRow() {
+    for (let index = this._values.length - 1; index >= 0; index--) {
+      if (this._values[index].some((value) => value !== '' && value !== undefined)) return index + 1;
+    }
+    return 0;
+  }
+
+  /**
+   * @returns {number}
+   */
+  getLastColumn() {
+    return this._values.reduce((lastColumn, rowData) => {
+      for (let index = rowData.length - 1; index >= lastColumn; index--) {
+        if (rowData[index] !== '' && rowData[index] !== undefined) return index + 1;
+      }
+      return lastColumn;
+    }, 0);
+  }
+
+  /**
+   * @param {number} afterPosition
+   * @param {number} howMany
+   * @returns {void}
+   */
+  insertRowsAfter(afterPosition, howMany) {
+    const newRows = Array.from({ length: howMany }, () => []);
+    this._values.splice(afterPosition, 0, ...newRows);
+    this._formulas.splice(afterPosition, 0, ...newRows.map(() => []));
+
+    //As linhas inteiras deslocam os intervalos nomeados de todas as colunas
+    this.shiftNamedRanges(afterPosition + 1, 1, howMany, Infinity);
+  }
+
+  /**
+   * @param {number} rowPosition
+   * @param {number} howMany
+   * @returns {void}
+   */
+  deleteRows(rowPosition, howMany) {
+    this._values.splice(rowPosition - 1, howMany);
+    this._formulas.splice(rowPosition - 1, howMany);
+    this.shiftNamedRanges(rowPosition, 1, -howMany, Infinity);
+  }
+
+  /**
+   * @param {number} row
+   * @param {number} column
+   * @param {number} numRows
+   * @param {number} numColumns
+   * @returns {void}
+   */
+  deleteCells(row, column, numRows, numColumns) {
+    [this._values, this._formulas].forEach((source) => {
+      for (let index = row - 1; index < source.length; index++) {
+        const target = source[index] = source[index] || [];
+        const below = source[index + numRows] || [];
+
+        for (let colIndex = column - 1; colIndex < column - 1 + numColumns; colIndex++) {
+          target[colIndex] = below[colIndex] === undefined ? '' : below[colIndex];
+        }
+      }
+    });
+    this.shiftNamedRanges(row, column, -numRows, numColumns);
+  }
+
+  /**
+   * @param {number} row
+   * @param {number} column
+   * @param {number} numRows
+   * @param {number} numColumns
+   * @returns {void}
+   */
+  insertCells(row, column, numRows, numColumns) {
+    [this._values, this._formulas].forEach((source) => {
+      for (let index = source.length - 1 + numRows; index >= row - 1; index--) {
+        const target = source[index] = source[index] || [];
+        const above = index - numRows >= row - 1 ? source[index - numRows] || [] : [];
+
+        for (let colIndex = column - 1; colIndex < column - 1 + numColumns; colIndex++) {
+          target[colIndex] = above[colIndex] === undefined ? '' : above[colIndex];
+        }
+      }
+    });
+    this.shiftNamedRanges(row, column, numRows, numColumns);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {NamedRange|undefined}
+   */
+  getNamedRange(name) {
+    return this._namedRanges[name] && { ...this._namedRanges[name] };
+  }
+
+  /**
+   * @param {string} name
+   * @param {NamedRange} range
+   * @returns {void}
+   */
+  setNamedRange(name, range) {
+    this._namedRanges[name] = { ...range };
+  }
+
+  /**
+   * @returns {void}
+   */
+  flush() {
+    //As gravações em memória são imediatas
+  }
+
+  /**
+   * Ajusta os intervalos nomeados depois que células foram inseridas (howMany
+   * positivo) ou excluídas (negativo), como o Google Sheets faz. Apenas os intervalos
+   * contidos nas colunas deslocadas são ajustados.
+   * @param {number} row
+   * @param {number} column
+   * @param {number} howMany
+   * @param {number} numColumns
+   * @returns {void}
+   * @private
+   */
+  shiftNamedRanges(row, column, howMany, numColumns) {
+    Object.values(this._namedRanges).forEach((range) => {
+      if (range.column < column || range.column + range.numColumns > column + numColumns) return;
+
+      const lastRow = range.row + range.numRows - 1;
+
+      if (howMany > 0) {
+        if (range.row >= row) range.row += howMany;
+        else if (row <= lastRow) range.numRows += howMany;
+        return;
+      }
+
+      const lastDeletedRow = row - howMany - 1;
+
+      if (range.row > lastDeletedRow) {
+        range.row += howMany;
+      } else if (lastRow >= row) {
+        range.numRows -= Math.min(lastRow, lastDeletedRow) - Math.max(range.row, row) + 1;
+        range.row = Math.min(range.row, row);
+      }
+    });
+  }
+
+  /**
+   * @param {any[][]} source
+   * @param {number} row
+   * @param {number} column
+   * @param {number} numRows
+   * @param {number} numColumns
+   * @returns {any[][]}
+   * @private
+   */
+  getRange(source, row, column, numRows, numColumns) {
+    return Array.from({ length: numRows }, (_, rowIndex) => {
+      const rowData = source[row - 1 + rowIndex] || [];
+
+      return Array.from({ length: numColumns }, (_, colIndex) => {
+        const value = rowData[column - 1 + colIndex];
+        return value === undefined ? '' : value;
+      });
+    });
+  }
+}
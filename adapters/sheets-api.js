@@ -0,0 +1,549 @@
+import { isDate } from 'date-fns';
+import { SSheetError, SpreadsheetUnavailableError, ValidationError } from '../errors.js';
+import { withRetryAsync } from '../retry.js';
+import { MemoryAdapter } from './memory.js';
+
+/**
+ * @typedef {import('./storage-adapter.js').StorageAdapter} StorageAdapter
+ * @typedef {import('./storage-adapter.js').NamedRange} NamedRange
+ * @typedef {import('../retry.js').RetryPolicy} RetryPolicy
+ */
+
+/**
+ * Uma função compatível com o fetch() do Node.js e dos navegadores.
+ * @typedef {(url: string, init: {method: string, headers: object, body?: string}) => Promise<{ok: boolean, status: number, json: () => Promise<any>, text: () => Promise<string>}>} HttpClient
+ */
+
+/**
+ * Uma operação de gravação aguardando SheetsApiAdapter.push().
+ * @typedef {{type: 'values', row: number, column: number, values: any[][]}
+ *   | {type: 'insertRows', afterPosition: number, howMany: number}
+ *   | {type: 'deleteRows', rowPosition: number, howMany: number}
+ *   | {type: 'deleteCells', row: number, column: number, numRows: number, numColumns: number}
+ *   | {type: 'insertCells', row: number, column: number, numRows: number, numColumns: number}
+ *   | {type: 'setNamedRange', name: string, range: NamedRange}} PendingOperation
+ */
+
+/**
+ * @param {number} column
+ * @returns {string} A letra da coluna, ex.: 1 => "A", 28 => "AB".
+ */
+const getColumnLetter = (column) => {
+  let letter = '';
+
+  while (column > 0) {
+    const remainder = (column - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    column = Math.floor((column - 1) / 26);
+  }
+  return letter;
+};
+
+/**
+ * O dia zero dos números de série das planilhas, 30/12/1899.
+ */
+const SERIAL_EPOCH = Date.UTC(1899, 11, 30);
+
+const MS_PER_DAY = 86400000;
+
+/**
+ * Os tipos de formato numérico das células com datas e horas.
+ */
+const DATE_FORMAT_TYPES = ['DATE', 'DATE_TIME', 'TIME'];
+
+/**
+ * Converte a data para o número de série da planilha, mantendo a data e a hora locais.
+ * @param {Date} date
+ * @returns {number}
+ */
+const toSerialNumber = (date) => (date.getTime() - date.getTimezoneOffset() * 60000 - SERIAL_EPOCH) / MS_PER_DAY;
+
+/**
+ * @param {number} serialNumber
+ * @returns {Date} A data com a data e a hora locais do número de série.
+ */
+const fromSerialNumber = (serialNumber) => {
+  const utc = new Date(SERIAL_EPOCH + Math.round(serialNumber * MS_PER_DAY));
+
+  return new Date(
+    utc.getUTCFullYear(),
+    utc.getUTCMonth(),
+    utc.getUTCDate(),
+    utc.getUTCHours(),
+    utc.getUTCMinutes(),
+    utc.getUTCSeconds(),
+    utc.getUTCMilliseconds()
+  );
+};
+
+/**
+ * Converte o valor para o formato aceito pela API com valueInputOption=RAW, que
+ * grava os valores sem interpretá-los: "00123" continua sendo um texto e um texto
+ * começando com "=" não é gravado como fórmula.
+ * @param {any} value
+ * @returns {any}
+ */
+const toApiValue = (value) => {
+  if ([undefined, null].includes(value)) return '';
+  return isDate(value) ? toSerialNumber(value) : value;
+};
+
+/**
+ * Adaptador de armazenamento que usa a API REST do Google Sheets (v4), para
+ * usar SSheet em servidores Node.js.
+ *
+ * Como SSheet é síncrona, o adaptador trabalha sobre uma cópia em memória: os
+ * dados são carregados por pull(), as gravações ficam pendentes e são enviadas
+ * em lote por push(). As células com formato de data ou hora são lidas como Date,
+ * e as datas são gravadas como números de série: as colunas de datas devem ter
+ * um formato de data na planilha.
+ *
+ * Ex.:
+ *   const adapter = new SheetsApiAdapter({ ssId, sheetName: 'Pedidos', token });
+ *   await adapter.pull();
+ *   new SSheet({ adapter, primaryKey: 'ID' }).save(pedidos);
+ *   await adapter.push();
+ *
+ * @implements {StorageAdapter}
+ */
+export class SheetsApiAdapter extends MemoryAdapter {
+  /**
+   * @param {object} params
+   * @param {string} params.ssId - O ID da planilha.
+   * @param {string} params.sheetName - O nome da aba.
+   * @param {string|(() => string|Promise<string>)} params.token - O token de acesso OAuth2, ou uma função que o retorne.
+   * @param {HttpClient} [params.fetch] - Padrão: o fetch() global.
+   * @param {string} [params.baseUrl] - Padrão: https://sheets.googleapis.com/v4/spreadsheets
+   * @param {RetryPolicy} [params.retryPolicy] - Padrão: a política definida com setRetryPolicy().
+   * As requisições que inserem ou excluem linhas e células só são repetidas depois de erros de limite de uso.
+   */
+  constructor({ baseUrl = 'https://sheets.googleapis.com/v4/spreadsheets', fetch, retryPolicy, sheetName, ssId, token }) {
+    super();
+
+    /**
+     * @type {string}
+     * @private
+     */
+    this._baseUrl = baseUrl.replace(/\/$/, '');
+
+    /**
+     * @type {HttpClient}
+     * @private
+     */
+    this._fetch = fetch || globalThis.fetch;
+
+    /**
+     * @type {Object<string, string>}
+     * @private
+     */
+    this._namedRangeIds = {};
+
+    /**
+     * @type {PendingOperation[]}
+     * @private
+     */
+    this._pendingOperations = [];
+
+    /**
+     * @type {RetryPolicy}
+     * @private
+     */
+    this._retryPolicy = retryPolicy;
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this._sheetId = undefined;
+
+    /**
+     * @type {string}
+     * @private
+     */
+    this._sheetName = sheetName;
+
+    /**
+     * @type {string}
+     * @private
+     */
+    this._ssId = ssId;
+
+    /**
+     * @type {string|(() => string|Promise<string>)}
+     * @private
+     */
+    this._token = token;
+  }
+
+  /**
+   * @returns {RetryPolicy}
+   */
+  get retryPolicy() {
+    return this._retryPolicy;
+  }
+
+  /**
+   * @param {RetryPolicy} retryPolicy - undefined para usar a política definida com setRetryPolicy().
+   * @returns {void}
+   */
+  set retryPolicy(retryPolicy) {
+    this._retryPolicy = retryPolicy;
+  }
+
+  /**
+   * @returns {boolean} Se há gravações aguardando SheetsApiAdapter.push().
+   * @readonly
+   */
+  get hasPendingOperations() {
+    return this._pendingOperations.length > 0;
+  }
+
+  /**
+   * O nome da aba entre aspas, como exigido pela notação A1.
+   * @returns {string}
+   * @readonly
+   */
+  get quotedSheetName() {
+    return `'${this._sheetName.replace(/'/g, "''")}'`;
+  }
+
+  /**
+   * Carrega os valores, as fórmulas e os intervalos nomeados da aba, descartando as gravações pendentes.
+   * @returns {Promise<void>}
+   */
+  async pull() {
+    const params = (valueRenderOption) => new URLSearchParams({
+      dateTimeRenderOption: 'SERIAL_NUMBER',
+      majorDimension: 'ROWS',
+      ranges: this.quotedSheetName,
+      valueRenderOption,
+    }).toString();
+
+    const url = `${this._baseUrl}/${this._ssId}/values:batchGet`;
+
+    const [values, formulas, formatTypes] = await Promise.all([
+      this.request('GET', `${url}?${params('UNFORMATTED_VALUE')}`),
+      this.request('GET', `${url}?${params('FORMULA')}`),
+      this.loadFormatTypes(),
+      this.loadMetadata(),
+    ]);
+
+    //Os números de série das células com formato de data voltam a ser datas
+    this._values = (values.valueRanges[0].values || []).map((rowData, rowIndex) => {
+      return rowData.map((value, colIndex) => {
+        const type = formatTypes[rowIndex] && formatTypes[rowIndex][colIndex];
+        return typeof value === 'number' && DATE_FORMAT_TYPES.includes(type) ? fromSerialNumber(value) : value;
+      });
+    });
+    this._formulas = (formulas.valueRanges[0].values || []).map((rowData) => {
+      return rowData.map((value) => typeof value === 'string' && value.startsWith('=') ? value : '');
+    });
+    this._pendingOperations = [];
+  }
+
+  /**
+   * @returns {Promise<string[][]>} Os tipos de formato numérico das células da aba, ex.: 'DATE'.
+   * @private
+   */
+  async loadFormatTypes() {
+    const params = new URLSearchParams({
+      fields: 'sheets.data.rowData.values.effectiveFormat.numberFormat.type',
+      ranges: this.quotedSheetName,
+    }).toString();
+
+    const { sheets } = await this.request('GET', `${this._baseUrl}/${this._ssId}?${params}`);
+    const [{ rowData = [] } = {}] = sheets[0].data || [];
+
+    return rowData.map(({ values = [] } = {}) => values.map((cell) => {
+      const numberFormat = cell && cell.effectiveFormat && cell.effectiveFormat.numberFormat;
+      return numberFormat ? numberFormat.type : undefined;
+    }));
+  }
+
+  /**
+   * Envia as gravações pendentes, na ordem em que foram feitas. As gravações de
+   * valores consecutivas são enviadas em um único values:batchUpdate, e as
+   * inserções e exclusões de linhas em um único batchUpdate. Se uma requisição
+   * falhar, as gravações que não foram enviadas continuam pendentes.
+   * @returns {Promise<void>}
+   */
+  async push() {
+    const operations = this._pendingOperations;
+
+    //As gravações feitas durante o envio ficam para o próximo push()
+    this._pendingOperations = [];
+
+    /** @type {PendingOperation[][]} */
+    const batches = operations.reduce((batches, operation) => {
+      const lastBatch = batches[batches.length - 1];
+      const isValues = operation.type === 'values';
+
+      if (lastBatch && (lastBatch[0].type === 'values') === isValues) {
+        lastBatch.push(operation);
+      } else {
+        batches.push([operation]);
+      }
+      return batches;
+    }, []);
+
+    let sent = 0;
+
+    try {
+      for (const batch of batches) {
+        if (batch[0].type === 'values') {
+          await this.request('POST', `${this._baseUrl}/${this._ssId}/values:batchUpdate`, {
+            data: batch.map(({ column, row, values }) => ({
+              majorDimension: 'ROWS',
+              range: `${this.quotedSheetName}!${getColumnLetter(column)}${row}`,
+              values: values.map((rowData) => rowData.map(toApiValue)),
+            })),
+            valueInputOption: 'RAW',
+          });
+        } else {
+          const sheetId = await this.getSheetId();
+
+          await this.request('POST', `${this._baseUrl}/${this._ssId}:batchUpdate`, {
+            requests: batch.map((operation) => this.getBatchUpdateRequest(operation, sheetId)),
+          }, false);
+        }
+        sent += batch.length;
+      }
+    } catch (e) {
+      //Cada lote é aplicado por inteiro ou não é aplicado: os não enviados voltam
+      //para o início da fila, antes das gravações feitas durante o envio
+      this._pendingOperations = [...operations.slice(sent), ...this._pendingOperations];
+      throw e;
+    }
+  }
+
+  /**
+   * @param {PendingOperation} operation
+   * @param {number} sheetId
+   * @returns {object} Uma requisição de spreadsheets.batchUpdate.
+   * @private
+   */
+  getBatchUpdateRequest(operation, sheetId) {
+    /**
+     * @param {number} row
+     * @param {number} column
+     * @param {number} numRows
+     * @param {number} numColumns
+     */
+    const getGridRange = (row, column, numRows, numColumns) => ({
+      endColumnIndex: column - 1 + numColumns,
+      endRowIndex: row - 1 + numRows,
+      sheetId,
+      startColumnIndex: column - 1,
+      startRowIndex: row - 1,
+    });
+
+    switch (operation.type) {
+      case 'insertRows':
+        return {
+          insertDimension: {
+            inheritFromBefore: operation.afterPosition > 0,
+            range: {
+              dimension: 'ROWS',
+              endIndex: operation.afterPosition + operation.howMany,
+              sheetId,
+              startIndex: operation.afterPosition,
+            },
+          },
+        };
+      case 'deleteRows':
+        return {
+          deleteDimension: {
+            range: {
+              dimension: 'ROWS',
+              endIndex: operation.rowPosition - 1 + operation.howMany,
+              sheetId,
+              startIndex: operation.rowPosition - 1,
+            },
+          },
+        };
+      case 'insertCells':
+      case 'deleteCells': {
+        const { column, numColumns, numRows, row } = operation;
+        const range = getGridRange(row, column, numRows, numColumns);
+
+        return operation.type === 'insertCells'
+          ? { insertRange: { range, shiftDimension: 'ROWS' } }
+          : { deleteRange: { range, shiftDimension: 'ROWS' } };
+      }
+      case 'setNamedRange': {
+        const { name, range: { column, numColumns, numRows, row } } = operation;
+
+        return {
+          updateNamedRange: {
+            fields: 'range',
+            namedRange: {
+              name,
+              namedRangeId: this._namedRangeIds[name],
+              range: getGridRange(row, column, numRows, numColumns),
+            },
+          },
+        };
+      }
+    }
+  }
+
+  /**
+   * @param {number} row
+   * @param {number} column
+   * @param {any[][]} values
+   * @returns {void}
+   */
+  setValues(row, column, values) {
+    super.setValues(row, column, values);
+    this._pendingOperations.push({ column, row, type: 'values', values: values.map((rowData) => [...rowData]) });
+  }
+
+  /**
+   * @param {number} afterPosition
+   * @param {number} howMany
+   * @returns {void}
+   */
+  insertRowsAfter(afterPosition, howMany) {
+    super.insertRowsAfter(afterPosition, howMany);
+    this._pendingOperations.push({ afterPosition, howMany, type: 'insertRows' });
+  }
+
+  /**
+   * @param {number} rowPosition
+   * @param {number} howMany
+   * @returns {void}
+   */
+  deleteRows(rowPosition, howMany) {
+    super.deleteRows(rowPosition, howMany);
+    this._pendingOperations.push({ howMany, rowPosition, type: 'deleteRows' });
+  }
+
+  /**
+   * @param {number} row
+   * @param {number} column
+   * @param {number} numRows
+   * @param {number} numColumns
+   * @returns {void}
+   */
+  deleteCells(row, column, numRows, numColumns) {
+    super.deleteCells(row, column, numRows, numColumns);
+    this._pendingOperations.push({ column, numColumns, numRows, row, type: 'deleteCells' });
+  }
+
+  /**
+   * @param {number} row
+   * @param {number} column
+   * @param {number} numRows
+   * @param {number} numColumns
+   * @returns {void}
+   */
+  insertCells(row, column, numRows, numColumns) {
+    super.insertCells(row, column, numRows, numColumns);
+    this._pendingOperations.push({ column, numColumns, numRows, row, type: 'insertCells' });
+  }
+
+  /**
+   * @param {string} name
+   * @param {NamedRange} range
+   * @returns {void}
+   */
+  setNamedRange(name, range) {
+    if (!this._namedRangeIds[name]) {
+      throw new SSheetError('NAMED_RANGE_NOT_FOUND', { rangeName: name, sheetName: this._sheetName });
+    }
+    super.setNamedRange(name, range);
+    this._pendingOperations.push({ name, range: { ...range }, type: 'setNamedRange' });
+  }
+
+  /**
+   * @returns {Promise<number>}
+   * @private
+   */
+  async getSheetId() {
+    if (this._sheetId === undefined) await this.loadMetadata();
+    return this._sheetId;
+  }
+
+  /**
+   * Carrega o ID da aba e os intervalos nomeados que estão nela.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async loadMetadata() {
+    const fields = 'namedRanges,sheets.properties(sheetId,title,gridProperties(rowCount,columnCount))';
+    const { namedRanges = [], sheets } = await this.request(
+      'GET',
+      `${this._baseUrl}/${this._ssId}?fields=${encodeURIComponent(fields)}`
+    );
+    const sheet = sheets.find(({ properties }) => properties.title === this._sheetName);
+
+    if (!sheet) {
+      throw new SpreadsheetUnavailableError('SHEET_NOT_FOUND', { sheetName: this._sheetName, ssId: this._ssId });
+    }
+    this._sheetId = sheet.properties.sheetId;
+
+    const { columnCount, rowCount } = sheet.properties.gridProperties || {};
+
+    const namedRangesInSheet = namedRanges.filter(({ range }) => (range.sheetId || 0) === this._sheetId);
+
+    this._namedRangeIds = namedRangesInSheet.reduce((obj, { name, namedRangeId }) => {
+      obj[name] = namedRangeId;
+      return obj;
+    }, {});
+
+    //A API usa índices começando em 0, com o fim exclusivo. Nos intervalos sem
+    //fim, como "A:C", o fim é omitido e o intervalo vai até o fim da aba
+    this._namedRanges = namedRangesInSheet
+      .reduce((obj, { name, range }) => {
+        const { endColumnIndex = columnCount, endRowIndex = rowCount, startColumnIndex = 0, startRowIndex = 0 } = range;
+
+        obj[name] = {
+          column: startColumnIndex + 1,
+          numColumns: endColumnIndex - startColumnIndex,
+          numRows: endRowIndex - startRowIndex,
+          row: startRowIndex + 1,
+        };
+        return obj;
+      }, {});
+  }
+
+  /**
+   * @param {string} method
+   * @param {string} url
+   * @param {object} [body]
+   * @param {boolean} [idempotent] - Se a requisição pode ser repetida depois de um erro temporário.
+   * @returns {Promise<any>}
+   * @private
+   */
+  async request(method, url, body = undefined, idempotent = true) {
+    const operation = { idempotent, name: `${method} ${url.slice(this._baseUrl.length).split('?')[0]}` };
+
+    return withRetryAsync(operation, async () => {
+      const token = typeof this._token === 'function' ? await this._token() : this._token;
+
+      const response = await this._fetch(url, {
+        body: body && JSON.stringify(body),
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        method,
+      });
+
+      if (!response.ok) {
+        const { status } = response;
+        const context = { body: await response.text(), status };
+
+        //Só os limites de uso e os erros do servidor são temporários. Os demais indicam
+        //um problema na requisição (400), no acesso (401 e 403) ou na planilha (404)
+        if (status === 429 || status >= 500) {
+          throw new SpreadsheetUnavailableError('SHEETS_API_ERROR', context);
+        }
+        throw status === 400
+          ? new ValidationError('SHEETS_API_ERROR', context)
+          : new SSheetError('SHEETS_API_ERROR', context);
+      }
+      return response.json();
+    }, this._retryPolicy);
+  }
+}
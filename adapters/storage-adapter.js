@@ -0,0 +1,53 @@
+/**
+ * A posição de um intervalo nomeado na aba do adaptador.
+ * @typedef {Object} NamedRange
+ * @property {number} row
+ * @property {number} column
+ * @property {number} numRows
+ * @property {number} numColumns
+ */
+
+/**
+ * Uma regra de validação de dados da planilha, independente do adaptador.
+ * - "list": a célula deve ter um dos valores de "values".
+ * - "date": a célula deve ter uma data, entre "min" e "max" quando definidos.
+ * - "formula": a fórmula, escrita para a primeira célula do intervalo, deve ser verdadeira.
+ * @typedef {Object} DataValidationRule
+ * @property {'list'|'date'|'formula'} type
+ * @property {any[]} [values]
+ * @property {Date} [min]
+ * @property {Date} [max]
+ * @property {string} [formula]
+ */
+
+/**
+ * A interface dos adaptadores de armazenamento usados por SSheet. Um adaptador
+ * representa uma única tabela (uma aba da planilha) e trabalha com posições
+ * começando em 1, como no SpreadsheetApp.
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {(row: number, column: number, numRows: number, numColumns: number) => any[][]} getValues
+ * @property {(row: number, column: number, values: any[][]) => void} setValues
+ * @property {(row: number, column: number, numRows: number, numColumns: number) => string[][]} getFormulas
+ * - As fórmulas do intervalo, com '' nas células sem fórmula.
+ * @property {() => number} getLastRow - A última linha com conteúdo.
+ * @property {() => number} getLastColumn - A última coluna com conteúdo.
+ * @property {(afterPosition: number, howMany: number) => void} insertRowsAfter
+ * @property {(rowPosition: number, howMany: number) => void} deleteRows
+ * @property {(row: number, column: number, numRows: number, numColumns: number) => void} deleteCells
+ * - Exclui as células do intervalo, deslocando para cima as células abaixo dele.
+ * @property {(row: number, column: number, numRows: number, numColumns: number) => void} [insertCells]
+ * - Insere células vazias no intervalo, deslocando para baixo as células dele e abaixo dele. Opcional.
+ * @property {(name: string) => NamedRange|undefined} [getNamedRange] - Opcional.
+ * @property {(name: string, range: NamedRange) => void} [setNamedRange] - Redefine um intervalo nomeado existente. Opcional.
+ * @property {() => void} flush - Aplica as gravações pendentes.
+ * @property {GoogleAppsScript.Spreadsheet.Sheet} [sheet] - Apenas em adaptadores do Apps Script.
+ * @property {GoogleAppsScript.Spreadsheet.Spreadsheet} [spreadsheet] - Apenas em adaptadores do Apps Script.
+ * @property {(fileName: string) => GoogleAppsScript.Drive.File} [exportPdf] - Opcional.
+ * @property {(row: number, column: number, numRows: number|undefined, numColumns: number, rule: DataValidationRule|null, options?: { allowInvalid?: boolean }) => void} [setDataValidation]
+ * - Define a regra de validação de dados do intervalo, ou a remove se "rule" for null. Se "numRows"
+ * for undefined, o intervalo vai até a última linha da aba. Com "allowInvalid", a planilha apenas
+ * marca os valores inválidos em vez de rejeitá-los. Opcional.
+ */
+
+export {};
@@ -0,0 +1,138 @@
+import { isDate } from 'date-fns';
+import { ValidationError } from './errors.js';
+import { compareForSort } from './query.js';
+
+/**
+ * Agregações usadas por SSheet.aggregate().
+ *
+ * Cada métrica é um objeto com um único operador, cujo argumento é o nome da
+ * coluna (ou a chave do columnMap). Células vazias são ignoradas por todos os
+ * operadores, e $sum e $avg consideram apenas números.
+ *
+ * Ex.: { total: { $sum: 'Valor' }, n: { $count: true }, ultima: { $max: 'Data' } }
+ *
+ * @typedef {Object<string, Object<string, string|boolean>>} Metrics
+ */
+
+/**
+ * @typedef {Object} Accumulator
+ * @property {() => any} init
+ * @property {(state: any, value: any) => any} step
+ * @property {(state: any) => any} result
+ */
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+/**
+ * @param {number} direction - 1 para o mínimo, -1 para o máximo.
+ * @returns {Accumulator}
+ */
+const createExtremeAccumulator = (direction) => ({
+  init: () => undefined,
+  step: (state, value) => {
+    if (value === undefined) return state;
+    return state === undefined || compareForSort(value, state, direction) < 0 ? value : state;
+  },
+  result: (state) => state,
+});
+
+/**
+ * @type {Object<string, Accumulator>}
+ */
+const ACCUMULATORS = {
+  //$count: true conta as linhas; $count: 'Coluna' conta as células preenchidas
+  $count: {
+    init: () => 0,
+    step: (state, value) => value !== undefined ? state + 1 : state,
+    result: (state) => state,
+  },
+  $sum: {
+    init: () => 0,
+    step: (state, value) => isNumber(value) ? state + value : state,
+    result: (state) => state,
+  },
+  $avg: {
+    init: () => ({ n: 0, sum: 0 }),
+    step: (state, value) => {
+      if (isNumber(value)) {
+        state.n++;
+        state.sum += value;
+      }
+      return state;
+    },
+    result: ({ n, sum }) => n ? sum / n : undefined,
+  },
+  $min: createExtremeAccumulator(1),
+  $max: createExtremeAccumulator(-1),
+};
+
+/**
+ * Converte o valor em parte da chave de um grupo. O tipo faz parte da
+ * chave para que 10 e "10" não sejam agrupados juntos.
+ * @param {any} value
+ * @returns {string}
+ */
+const getGroupKeyPart = (value) => {
+  if (value === undefined) return 'empty';
+  return isDate(value) ? `date:${value.getTime()}` : `${typeof value}:${value}`;
+};
+
+/**
+ * Agrupa as linhas e calcula as métricas de cada grupo. Sem "groupBy",
+ * retorna um único grupo com todas as linhas.
+ * @param {object[]} rows
+ * @param {{groupBy?: string|string[], metrics?: Metrics}} options
+ * @param {(row: object, key: string) => any} getValue - Retorna o valor da coluna, ou undefined se estiver vazia.
+ * @returns {object[]} Um objeto por grupo, com os valores do "groupBy" e das métricas.
+ */
+export const aggregateRows = (rows, { groupBy = [], metrics = {} }, getValue) => {
+  const groupKeys = Array.isArray(groupBy) ? groupBy : [groupBy];
+
+  const metricEntries = Object.entries(metrics).map(([name, spec]) => {
+    const operators = Object.keys(spec || {});
+
+    if (operators.length !== 1 || !ACCUMULATORS[operators[0]]) {
+      throw new ValidationError('INVALID_METRIC', { metric: name, operators: Object.keys(ACCUMULATORS) });
+    }
+    const [operator] = operators;
+    return { accumulator: ACCUMULATORS[operator], field: spec[operator], name };
+  });
+
+  /** @type {Map<string, {fields: object, states: any[]}>} */
+  const groups = new Map();
+
+  const createGroup = (values) => ({
+    fields: groupKeys.reduce((obj, key, index) => {
+      obj[key] = values[index];
+      return obj;
+    }, {}),
+    states: metricEntries.map(({ accumulator }) => accumulator.init()),
+  });
+
+  if (!groupKeys.length) groups.set('', createGroup([]));
+
+  rows.forEach((row) => {
+    const values = groupKeys.map((key) => getValue(row, key));
+    const groupKey = values.map(getGroupKeyPart).join('&');
+
+    if (!groups.has(groupKey)) groups.set(groupKey, createGroup(values));
+
+    const { states } = groups.get(groupKey);
+
+    metricEntries.forEach(({ accumulator, field }, index) => {
+      const value = field === true ? true : getValue(row, field);
+      states[index] = accumulator.step(states[index], value);
+    });
+  });
+
+  return [...groups.values()].map(({ fields, states }) => {
+    return metricEntries.reduce((obj, { accumulator, name }, index) => {
+      obj[name] = accumulator.result(states[index]);
+      return obj;
+    }, { ...fields });
+  });
+};
@@ -0,0 +1,447 @@
+/**
+ * @typedef {Object} ConflictField
+ * @property {string} colName - O nome da coluna em conflito.
+ * @property {any} expected - O valor lido pelo chamador (ou a versão esperada).
+ * @property {any} actual - O valor atual na planilha.
+ * @property {any} value - O valor que o chamador tentou gravar.
+ */
+
+/**
+ * Os dados do erro, usados nas mensagens e disponíveis em SSheetError.context.
+ * @typedef {Object} ErrorContext
+ * @property {string} [className] - A classe que lançou o erro, ex.: 'SSheet'.
+ * @property {string} [method] - O método, ex.: 'save()', ou a propriedade, ex.: 'region', em que o erro ocorreu.
+ * @property {number} [rowNumber]
+ * @property {string} [column]
+ * @property {any} [key]
+ * @property {any} [value]
+ * @property {*} [property1] - Outros dados, conforme o código do erro.
+ */
+
+/**
+ * As mensagens de um idioma, por código de erro.
+ * @typedef {Object<string, (context: ErrorContext) => string>} ErrorCatalog
+ */
+
+/**
+ * @param {string[]} values
+ * @returns {string}
+ */
+const list = (values) => `"${values.join('", "')}"`;
+
+/**
+ * @param {ErrorContext} context
+ * @returns {string}
+ */
+const columnPrefix = ({ column }) => column ? `Coluna "${column}": ` : '';
+
+/**
+ * @param {ErrorContext} context
+ * @returns {string}
+ */
+const columnPrefixEn = ({ column }) => column ? `Column "${column}": ` : '';
+
+/** @type {ErrorCatalog} */
+const PT_BR = {
+  ABOVE_MAX: (context) => `${columnPrefix(context)}O valor "${context.value}" é maior que o máximo, "${context.max}".`,
+  ALREADY_IN_TRANSACTION: () => 'Já existe uma transação em andamento.',
+  BELOW_MIN: (context) => `${columnPrefix(context)}O valor "${context.value}" é menor que o mínimo, "${context.min}".`,
+  COLUMN_EXISTS: ({ column }) => `A coluna "${column}" já existe no cabeçalho.`,
+  CONFLICT: ({ columns, rowNumber }) => (
+    `A linha ${rowNumber} foi alterada por outro usuário desde que foi lida. ` +
+    `Colunas em conflito: ${list(columns)}.`
+  ),
+  DATA_VALIDATION_NOT_SUPPORTED: () => 'O adaptador de armazenamento não permite definir regras de validação de dados.',
+  DELETE_IN_TRANSACTION: () => 'Não é possível excluir linhas durante uma transação.',
+  DUPLICATE_KEY: ({ index, values }) => `Já existe uma linha com o valor ${list(values)} no índice único "${index}".`,
+  ENUM_VALUES_REQUIRED: ({ column }) => `Ops! A coluna "${column}" é do tipo "enum" e deve ter o array "values".`,
+  FAILURE_LOGGED: ({ target }) => (
+    `${target ? `Em ${target}. ` : ''}A execução continua, conforme a política de erros "log".`
+  ),
+  HEADER_CHANGE_IN_TRANSACTION: () => 'Não é possível alterar o cabeçalho durante uma transação.',
+  HEADER_NAME_TOO_LONG: ({ column, headerRows }) => (
+    `O nome "${column}" tem mais partes do que as ${headerRows} linhas do cabeçalho.`
+  ),
+  INCREMENT_IN_TRANSACTION: ({ column }) => (
+    `Não é possível gerar o valor da coluna "${column}" pelo incremento durante uma transação, ` +
+    'já que ele só seria gravado por SSheet.commit(). Use a estratégia "uuid" ou uma função.'
+  ),
+  INVALID_AUDIT: () => 'A opção "sheet" deve ser um objeto SSheet e "mode", "cell" ou "row".',
+  INVALID_CACHE_POLICY: () => (
+    '"maxAge" deve ser um número maior ou igual a zero e "onExpire", "reload" ou "fingerprint".'
+  ),
+  INVALID_COL_NUMBER: () => 'O parâmetro "colNumber" deve ser um número maior que zero.',
+  INVALID_COLUMN_CONSTRAINT: ({ column }) => (
+    `Ops! As opções "min", "max" e "pattern" da coluna "${column}" não são válidas para o tipo dela.`
+  ),
+  INVALID_COLUMN_TYPE: ({ column, types }) => `Ops! O tipo da coluna "${column}" deve ser um entre ${types.join(', ')}.`,
+  INVALID_CURSOR: () => 'O cursor não é válido ou foi criado com outra ordenação.',
+  INVALID_DATA: ({ entityName }) => `O parâmetro "data" deve ser um array de objetos do tipo "${entityName}".`,
+  INVALID_DELETE_TARGET: () => 'O parâmetro "target" deve ser uma query não vazia ou um ou mais registros.',
+  INVALID_EDIT_VALIDATION: () => 'A validação das edições deve ser "flag", "revert" ou undefined.',
+  INVALID_ERROR_POLICY: () => 'A política de erros deve ser "throw", "collect", "log" ou uma função.',
+  INVALID_HEADER_ROW: () => 'Ops! O parâmetro "headerRow" deve ser um número inteiro maior ou igual a 1.',
+  INVALID_JSON: (context) => `${columnPrefix(context)}O valor "${context.value}" não é um JSON válido.`,
+  INVALID_METRIC: ({ metric, operators }) => (
+    `Ops! A métrica "${metric}" deve ter um único operador entre ${operators.join(', ')}.`
+  ),
+  INVALID_OFFSET: () => 'A opção "offset" deve ser um número inteiro maior ou igual a zero.',
+  INVALID_REGION: () => (
+    'As linhas e colunas devem ser números inteiros maiores ou iguais a 1, o cabeçalho ' +
+    'deve caber acima de "headerRow" e o fim da região deve estar depois do início.'
+  ),
+  INVALID_RELATION: ({ relation }) => (
+    `A relação "${relation}" deve ter "type" igual a "belongsTo" ou "hasMany", um objeto SSheet ` +
+    'em "target" e a coluna "foreignKey". A opção "onDelete" é aceita apenas em relações ' +
+    '"hasMany", com os valores "cascade", "restrict" ou "setNull".'
+  ),
+  INVALID_ROW_DATA: () => 'Ops! O parâmetro "rowData" deve ser um array.',
+  INVALID_ROW_NUMBER: () => 'O parâmetro "rowNumber" deve ser maior que o número da linha do cabeçalho.',
+  INVALID_SORT_DIRECTION: ({ column }) => (
+    `Ops! A direção de ordenação da coluna "${column}" deve ser "asc", "desc", 1 ou -1.`
+  ),
+  KEY_REQUIRED_TO_DELETE: () => (
+    'Não foi possível encontrar a linha a ser excluída. Você deve informar o número da linha ' +
+    'ou o valor de todas as colunas que compõem a chave primária.'
+  ),
+  KEY_REQUIRED_TO_UPDATE: () => (
+    'Não foi possível encontrar a linha a ser atualizada. Você deve informar o número da linha ' +
+    'ou o valor de pelo menos uma das colunas que compõem a chave primária.'
+  ),
+  LOCK_TIMEOUT: ({ attempts, timeout }) => (
+    `Não foi possível obter o bloqueio após ${attempts} tentativas de ${timeout}ms.`
+  ),
+  LOCK_UNAVAILABLE: ({ scope }) => `Não foi possível obter um bloqueio com o escopo "${scope}".`,
+  METADATA_SHEET_REQUIRED: () => (
+    'O parâmetro "metadataSheet" é obrigatório quando o adaptador não é o AppsScriptAdapter.'
+  ),
+  MISSING_COLUMNS: ({ columns }) => `As colunas ${list(columns)} não existem no cabeçalho.`,
+  NAMED_RANGE_NOT_EXPANDABLE: ({ rangeName }) => (
+    `O adaptador não permite expandir o intervalo nomeado "${rangeName}".`
+  ),
+  NAMED_RANGE_NOT_FOUND: ({ rangeName, sheetName }) => (
+    `Não foi encontrado o intervalo nomeado "${rangeName}" na aba "${sheetName}".`
+  ),
+  NAMED_RANGE_TOO_SHORT: ({ headerRows, rangeName }) => (
+    `O intervalo nomeado "${rangeName}" tem menos linhas que as ${headerRows} linhas do cabeçalho.`
+  ),
+  NO_ROOM_FOR_COLUMN: ({ column, endColumn }) => (
+    `Não há espaço para a coluna "${column}": a região termina na coluna ${endColumn}.`
+  ),
+  NO_ROOM_FOR_ROWS: ({ count, endRow }) => (
+    `Não há espaço para inserir ${count} linha(s): a região termina na linha ${endRow}.`
+  ),
+  NO_TRANSACTION: () => 'Não há nenhuma transação em andamento.',
+  NOT_A_BOOLEAN: (context) => `${columnPrefix(context)}O valor "${context.value}" não é um booleano.`,
+  NOT_A_DATE: (context) => `${columnPrefix(context)}O valor "${context.value}" não é uma data.`,
+  NOT_A_DATETIME: (context) => `${columnPrefix(context)}O valor "${context.value}" não é uma data e hora.`,
+  NOT_A_NUMBER: (context) => `${columnPrefix(context)}O valor "${context.value}" não é um número.`,
+  NOT_AN_INTEGER: (context) => `${columnPrefix(context)}O valor "${context.value}" não é um número inteiro.`,
+  NOT_IN_ENUM: (context) => (
+    `${columnPrefix(context)}O valor "${context.value}" não está entre os valores aceitos: ${list(context.values)}.`
+  ),
+  OPERAND_NOT_ARRAY: ({ operator }) => `Ops! O operador "${operator}" deve receber um array.`,
+  PATTERN_MISMATCH: (context) => (
+    `${columnPrefix(context)}O valor "${context.value}" não corresponde ao padrão ${context.pattern}.`
+  ),
+  PDF_NOT_SUPPORTED: () => 'O adaptador de armazenamento não permite exportar PDF.',
+  PRIMARY_KEY_CHANGE: ({ column, oldValue, value }) => (
+    `Você não pode alterar o valor da coluna "${column}" de "${oldValue}" para "${value}" ` +
+    'porque ela faz parte da chave primária.'
+  ),
+  RANGES_A1_REQUIRED: () => 'O parâmetro "rangesA1" não foi definido.',
+  REFERENCE_NOT_FOUND: ({ column, relation, sheetName, value }) => (
+    `Não existe um registro na aba "${sheetName}" com "${column}" igual a "${value}" (relação "${relation}").`
+  ),
+  RELATED_RECORDS_EXIST: ({ count, relation, sheetName }) => (
+    `Existem ${count} registros relacionados na aba "${sheetName}" (relação "${relation}").`
+  ),
+  RELATION_KEY_NOT_SINGLE: ({ relation, sheetName }) => (
+    `A relação "${relation}" aponta para a chave primária da aba "${sheetName}", que deve ter uma única coluna.`
+  ),
+  REQUIRED_COLUMN: ({ column }) => `A coluna "${column}" é obrigatória.`,
+  ROW_NOT_FOUND: ({ rowNumber }) => `Não foi encontrado nenhum dado na linha ${rowNumber}`,
+  ROW_OUT_OF_RANGE: () => (
+    'O parâmetro "rowNumber" deve ser um número maior que zero e menor ou igual à última linha da planilha.'
+  ),
+  SHEET_NOT_FOUND: ({ sheetName, ssId }) => `Ops! Não foi encontrada a aba '${sheetName}' na planilha com ID '${ssId}'.`,
+  SHEET_NOT_SUPPORTED: () => (
+    'O adaptador de armazenamento não dá acesso à aba do Apps Script. Use o AppsScriptAdapter.'
+  ),
+  SHEET_UNAVAILABLE: ({ attempts, sheetName }) => (
+    `Ops! Não foi possível abrir a planilha com nome '${sheetName}' após ${attempts} tentativas`
+  ),
+  SHEETS_API_ERROR: ({ body, status }) => `Ops! A API do Google Sheets retornou o status ${status}: ${body}`,
+  SPREADSHEET_UNAVAILABLE: ({ attempts, ssId }) => (
+    `Ops! Não foi possível abrir a Spreadsheet com ID '${ssId}' após ${attempts} tentativas`
+  ),
+  UNKNOWN_LOCALE: ({ locale }) => `Ops! Não há mensagens de erro no idioma "${locale}".`,
+  UNKNOWN_RELATION: ({ relation }) => `A relação "${relation}" não está definida em "relations".`,
+  UNSUPPORTED_OPERATOR: ({ operator }) => `Ops! O operador "${operator}" não é suportado.`,
+  UUID_NOT_SUPPORTED: () => (
+    'Ops! Não há como gerar UUIDs neste ambiente. Use uma função em "generatedKey.strategy".'
+  ),
+};
+
+/** @type {ErrorCatalog} */
+const EN = {
+  ABOVE_MAX: (context) => `${columnPrefixEn(context)}The value "${context.value}" is greater than the maximum, "${context.max}".`,
+  ALREADY_IN_TRANSACTION: () => 'A transaction is already in progress.',
+  BELOW_MIN: (context) => `${columnPrefixEn(context)}The value "${context.value}" is less than the minimum, "${context.min}".`,
+  COLUMN_EXISTS: ({ column }) => `The column "${column}" already exists in the header.`,
+  CONFLICT: ({ columns, rowNumber }) => (
+    `Row ${rowNumber} was changed by another user since it was read. ` +
+    `Conflicting columns: ${list(columns)}.`
+  ),
+  DATA_VALIDATION_NOT_SUPPORTED: () => 'The storage adapter does not support data validation rules.',
+  DELETE_IN_TRANSACTION: () => 'Rows cannot be deleted during a transaction.',
+  DUPLICATE_KEY: ({ index, values }) => `A row with the value ${list(values)} already exists in the unique index "${index}".`,
+  ENUM_VALUES_REQUIRED: ({ column }) => `Oops! The column "${column}" has the type "enum" and must have the "values" array.`,
+  FAILURE_LOGGED: ({ target }) => `${target ? `At ${target}. ` : ''}Execution continues, as set by the "log" error policy.`,
+  HEADER_CHANGE_IN_TRANSACTION: () => 'The header cannot be changed during a transaction.',
+  HEADER_NAME_TOO_LONG: ({ column, headerRows }) => (
+    `The name "${column}" has more parts than the ${headerRows} header rows.`
+  ),
+  INCREMENT_IN_TRANSACTION: ({ column }) => (
+    `The value of the column "${column}" cannot be generated by increment during a transaction, ` +
+    'since it would only be written by SSheet.commit(). Use the "uuid" strategy or a function.'
+  ),
+  INVALID_AUDIT: () => 'The "sheet" option must be an SSheet object and "mode" must be "cell" or "row".',
+  INVALID_CACHE_POLICY: () => (
+    '"maxAge" must be a number greater than or equal to zero and "onExpire" must be "reload" or "fingerprint".'
+  ),
+  INVALID_COL_NUMBER: () => 'The "colNumber" parameter must be a number greater than zero.',
+  INVALID_COLUMN_CONSTRAINT: ({ column }) => (
+    `Oops! The "min", "max" and "pattern" options of the column "${column}" are not valid for its type.`
+  ),
+  INVALID_COLUMN_TYPE: ({ column, types }) => `Oops! The type of the column "${column}" must be one of ${types.join(', ')}.`,
+  INVALID_CURSOR: () => 'The cursor is not valid or was created with a different sort.',
+  INVALID_DATA: ({ entityName }) => `The "data" parameter must be an array of "${entityName}" objects.`,
+  INVALID_DELETE_TARGET: () => 'The "target" parameter must be a non-empty query or one or more records.',
+  INVALID_EDIT_VALIDATION: () => 'The edit validation must be "flag", "revert" or undefined.',
+  INVALID_ERROR_POLICY: () => 'The error policy must be "throw", "collect", "log" or a function.',
+  INVALID_HEADER_ROW: () => 'Oops! The "headerRow" parameter must be an integer greater than or equal to 1.',
+  INVALID_JSON: (context) => `${columnPrefixEn(context)}The value "${context.value}" is not valid JSON.`,
+  INVALID_METRIC: ({ metric, operators }) => (
+    `Oops! The metric "${metric}" must have a single operator among ${operators.join(', ')}.`
+  ),
+  INVALID_OFFSET: () => 'The "offset" option must be an integer greater than or equal to zero.',
+  INVALID_REGION: () => (
+    'Rows and columns must be integers greater than or equal to 1, the header must fit ' +
+    'above "headerRow" and the end of the region must be after its start.'
+  ),
+  INVALID_RELATION: ({ relation }) => (
+    `The relation "${relation}" must have "type" equal to "belongsTo" or "hasMany", an SSheet object ` +
+    'in "target" and the "foreignKey" column. The "onDelete" option is only accepted in "hasMany" ' +
+    'relations, with the values "cascade", "restrict" or "setNull".'
+  ),
+  INVALID_ROW_DATA: () => 'Oops! The "rowData" parameter must be an array.',
+  INVALID_ROW_NUMBER: () => 'The "rowNumber" parameter must be greater than the header row number.',
+  INVALID_SORT_DIRECTION: ({ column }) => (
+    `Oops! The sort direction of the column "${column}" must be "asc", "desc", 1 or -1.`
+  ),
+  KEY_REQUIRED_TO_DELETE: () => (
+    'The row to be deleted could not be found. You must provide the row number ' +
+    'or the value of every column in the primary key.'
+  ),
+  KEY_REQUIRED_TO_UPDATE: () => (
+    'The row to be updated could not be found. You must provide the row number ' +
+    'or the value of at least one of the columns in the primary key.'
+  ),
+  LOCK_TIMEOUT: ({ attempts, timeout }) => `The lock could not be acquired after ${attempts} attempts of ${timeout}ms.`,
+  LOCK_UNAVAILABLE: ({ scope }) => `A lock with the scope "${scope}" could not be obtained.`,
+  METADATA_SHEET_REQUIRED: () => 'The "metadataSheet" parameter is required when the adapter is not the AppsScriptAdapter.',
+  MISSING_COLUMNS: ({ columns }) => `The columns ${list(columns)} do not exist in the header.`,
+  NAMED_RANGE_NOT_EXPANDABLE: ({ rangeName }) => `The adapter cannot expand the named range "${rangeName}".`,
+  NAMED_RANGE_NOT_FOUND: ({ rangeName, sheetName }) => (
+    `The named range "${rangeName}" was not found in the sheet "${sheetName}".`
+  ),
+  NAMED_RANGE_TOO_SHORT: ({ headerRows, rangeName }) => (
+    `The named range "${rangeName}" has fewer rows than the ${headerRows} header rows.`
+  ),
+  NO_ROOM_FOR_COLUMN: ({ column, endColumn }) => (
+    `There is no room for the column "${column}": the region ends at column ${endColumn}.`
+  ),
+  NO_ROOM_FOR_ROWS: ({ count, endRow }) => (
+    `There is no room to insert ${count} row(s): the region ends at row ${endRow}.`
+  ),
+  NO_TRANSACTION: () => 'There is no transaction in progress.',
+  NOT_A_BOOLEAN: (context) => `${columnPrefixEn(context)}The value "${context.value}" is not a boolean.`,
+  NOT_A_DATE: (context) => `${columnPrefixEn(context)}The value "${context.value}" is not a date.`,
+  NOT_A_DATETIME: (context) => `${columnPrefixEn(context)}The value "${context.value}" is not a date and time.`,
+  NOT_A_NUMBER: (context) => `${columnPrefixEn(context)}The value "${context.value}" is not a number.`,
+  NOT_AN_INTEGER: (context) => `${columnPrefixEn(context)}The value "${context.value}" is not an integer.`,
+  NOT_IN_ENUM: (context) => (
+    `${columnPrefixEn(context)}The value "${context.value}" is not one of the accepted values: ${list(context.values)}.`
+  ),
+  OPERAND_NOT_ARRAY: ({ operator }) => `Oops! The operator "${operator}" must receive an array.`,
+  PATTERN_MISMATCH: (context) => (
+    `${columnPrefixEn(context)}The value "${context.value}" does not match the pattern ${context.pattern}.`
+  ),
+  PDF_NOT_SUPPORTED: () => 'The storage adapter cannot export PDF files.',
+  PRIMARY_KEY_CHANGE: ({ column, oldValue, value }) => (
+    `You cannot change the value of the column "${column}" from "${oldValue}" to "${value}" ` +
+    'because it is part of the primary key.'
+  ),
+  RANGES_A1_REQUIRED: () => 'The "rangesA1" parameter is not defined.',
+  REFERENCE_NOT_FOUND: ({ column, relation, sheetName, value }) => (
+    `There is no record in the sheet "${sheetName}" with "${column}" equal to "${value}" (relation "${relation}").`
+  ),
+  RELATED_RECORDS_EXIST: ({ count, relation, sheetName }) => (
+    `There are ${count} related records in the sheet "${sheetName}" (relation "${relation}").`
+  ),
+  RELATION_KEY_NOT_SINGLE: ({ relation, sheetName }) => (
+    `The relation "${relation}" points to the primary key of the sheet "${sheetName}", which must have a single column.`
+  ),
+  REQUIRED_COLUMN: ({ column }) => `The column "${column}" is required.`,
+  ROW_NOT_FOUND: ({ rowNumber }) => `No data was found in row ${rowNumber}`,
+  ROW_OUT_OF_RANGE: () => (
+    'The "rowNumber" parameter must be a number greater than zero and less than or equal to the last row of the sheet.'
+  ),
+  SHEET_NOT_FOUND: ({ sheetName, ssId }) => `Oops! The sheet '${sheetName}' was not found in the spreadsheet with ID '${ssId}'.`,
+  SHEET_NOT_SUPPORTED: () => 'The storage adapter does not give access to the Apps Script sheet. Use the AppsScriptAdapter.',
+  SHEET_UNAVAILABLE: ({ attempts, sheetName }) => `Oops! The sheet named '${sheetName}' could not be opened after ${attempts} attempts`,
+  SHEETS_API_ERROR: ({ body, status }) => `Oops! The Google Sheets API returned the status ${status}: ${body}`,
+  SPREADSHEET_UNAVAILABLE: ({ attempts, ssId }) => `Oops! The Spreadsheet with ID '${ssId}' could not be opened after ${attempts} attempts`,
+  UNKNOWN_LOCALE: ({ locale }) => `Oops! There are no error messages for the locale "${locale}".`,
+  UNKNOWN_RELATION: ({ relation }) => `The relation "${relation}" is not defined in "relations".`,
+  UNSUPPORTED_OPERATOR: ({ operator }) => `Oops! The operator "${operator}" is not supported.`,
+  UUID_NOT_SUPPORTED: () => 'Oops! UUIDs cannot be generated in this environment. Use a function in "generatedKey.strategy".',
+};
+
+/**
+ * O início das mensagens dos erros com o método chamado ou a propriedade definida.
+ * @type {Object<string, {call: (target: string) => string, set: (target: string) => string}>}
+ */
+const PREFIXES = {
+  'pt-BR': {
+    call: (target) => `Ops! Erro ao chamar "${target}":\n`,
+    set: (target) => `Ops! Erro ao definir "${target}":\n`,
+  },
+  en: {
+    call: (target) => `Oops! Error calling "${target}":\n`,
+    set: (target) => `Oops! Error setting "${target}":\n`,
+  },
+};
+
+/** @type {Object<string, ErrorCatalog>} */
+const CATALOGS = { en: EN, 'pt-BR': PT_BR };
+
+let currentLocale = 'pt-BR';
+
+/**
+ * Define o idioma das mensagens dos próximos erros.
+ * @param {string} locale - 'pt-BR' (padrão), 'en' ou um idioma registrado com addErrorCatalog().
+ * @returns {void}
+ */
+export const setErrorLocale = (locale) => {
+  if (!CATALOGS[locale]) {
+    throw new SSheetError('UNKNOWN_LOCALE', { locale });
+  }
+  currentLocale = locale;
+};
+
+/**
+ * Registra ou completa o catálogo de mensagens de um idioma. Os códigos sem
+ * mensagem no catálogo usam a mensagem em inglês.
+ * @param {string} locale
+ * @param {ErrorCatalog} catalog
+ * @param {{call: (target: string) => string, set: (target: string) => string}} [prefixes]
+ * @returns {void}
+ */
+export const addErrorCatalog = (locale, catalog, prefixes = PREFIXES[locale] || PREFIXES.en) => {
+  CATALOGS[locale] = { ...CATALOGS[locale], ...catalog };
+  PREFIXES[locale] = prefixes;
+};
+
+/**
+ * Monta a mensagem do código no idioma definido com setErrorLocale(), como a de SSheetError.
+ * @param {string} code
+ * @param {ErrorContext} context
+ * @returns {string}
+ */
+export const formatMessage = (code, context) => {
+  const catalog = CATALOGS[currentLocale];
+  const format = catalog[code] || EN[code];
+  const message = format ? format(context) : code;
+
+  const { className, method } = context;
+
+  if (!method) return message;
+
+  const target = className ? `${className}.${method}` : method;
+  const { call, set } = PREFIXES[currentLocale];
+
+  return (method.endsWith(')') ? call(target) : set(target)) + message;
+};
+
+/**
+ * A classe base dos erros lançados por SSheet. O "code" identifica o erro
+ * independentemente do idioma da mensagem.
+ */
+export class SSheetError extends Error {
+  /**
+   * @param {string} code
+   * @param {ErrorContext} [context]
+   */
+  constructor(code, context = {}) {
+    super(formatMessage(code, context));
+    this.name = this.constructor.name;
+
+    /**
+     * @type {string}
+     */
+    this.code = code;
+
+    /**
+     * @type {ErrorContext}
+     */
+    this.context = context;
+  }
+}
+
+/**
+ * Lançado quando um valor, um parâmetro ou uma opção não é válido, inclusive
+ * quando um registro não atende ao esquema ou às relações.
+ */
+export class ValidationError extends SSheetError {}
+
+/**
+ * Lançado por SSheet.save() quando uma gravação repetiria uma chave única ou
+ * alteraria a chave primária de uma linha.
+ */
+export class PrimaryKeyViolationError extends SSheetError {}
+
+/**
+ * Lançado quando a linha pedida não existe ou está vazia.
+ */
+export class RowNotFoundError extends SSheetError {}
+
+/**
+ * Lançado quando não é possível acessar a planilha ou a aba, mesmo depois de
+ * novas tentativas.
+ */
+export class SpreadsheetUnavailableError extends SSheetError {}
+
+/**
+ * Lançado por SSheet.save() quando a linha foi alterada por outro
+ * usuário ou execução desde que foi lida.
+ */
+export class ConflictError extends SSheetError {
+  /**
+   * @param {ErrorContext & {rowNumber: number, fields: ConflictField[]}} context
+   */
+  constructor(context) {
+    super('CONFLICT', { ...context, columns: context.fields.map(({ colName }) => colName) });
+
+    /**
+     * @type {ConflictField[]}
+     */
+    this.fields = context.fields;
+
+    /**
+     * @type {number}
+     */
+    this.rowNumber = context.rowNumber;
+  }
+}
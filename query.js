@@ -0,0 +1,257 @@
+import { isDate, isSameMinute } from 'date-fns';
+import { ValidationError } from './errors.js';
+
+/**
+ * Consultas declarativas usadas por SSheet.read().
+ *
+ * Cada chave da query é o nome de uma coluna (ou uma chave do columnMap) ou um
+ * operador lógico ($and, $or, $not). O valor de uma coluna pode ser:
+ * - um valor simples, comparado por igualdade (datas são comparadas até o minuto);
+ * - uma função que recebe o valor da célula e retorna true ou false;
+ * - um objeto com operadores, ex.: { $gte: 10, $lt: 20 }.
+ *
+ * Ex.: { $or: [{ Status: { $in: ['Aberto', 'Pendente'] } }, { Valor: { $gt: 1000 } }] }
+ *
+ * @typedef {Object<string, any>} Query
+ */
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+const isPlainObject = (value) => {
+  return !!value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+};
+
+/**
+ * Converte o valor para que possa ser comparado com a referência. Datas são
+ * convertidas para milissegundos e strings são convertidas para datas quando
+ * a referência é uma data, o que permite queries serializadas em JSON.
+ * @param {any} value
+ * @param {any} reference
+ * @returns {any}
+ */
+const toComparable = (value, reference) => {
+  if (typeof value === 'string' && isDate(reference)) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? value : date.getTime();
+  }
+  return isDate(value) ? value.getTime() : value;
+};
+
+/**
+ * @param {any} value
+ * @param {any} reference
+ * @returns {Date|any}
+ */
+const toDateIfComparable = (value, reference) => {
+  if (typeof value === 'string' && isDate(reference)) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? value : date;
+  }
+  return value;
+};
+
+/**
+ * @param {any} foundValue
+ * @param {any} searchValue
+ * @returns {boolean}
+ */
+const equals = (foundValue, searchValue) => {
+  foundValue = toDateIfComparable(foundValue, searchValue);
+  searchValue = toDateIfComparable(searchValue, foundValue);
+
+  return isDate(foundValue) && isDate(searchValue)
+    ? isSameMinute(foundValue, searchValue)
+    : foundValue === searchValue;
+};
+
+/**
+ * Retorna um número negativo, zero ou positivo, ou NaN se os valores não forem comparáveis.
+ * @param {any} foundValue
+ * @param {any} searchValue
+ * @returns {number}
+ */
+const compare = (foundValue, searchValue) => {
+  if ([undefined, null].includes(foundValue) || [undefined, null].includes(searchValue)) {
+    return NaN;
+  }
+  const a = toComparable(foundValue, searchValue);
+  const b = toComparable(searchValue, foundValue);
+
+  return a < b ? -1 : a > b ? 1 : a == b ? 0 : NaN;
+};
+
+/**
+ * @type {Object<string, (foundValue: any, operand: any, condition: object) => boolean>}
+ */
+const OPERATORS = {
+  $eq: (foundValue, operand) => equals(foundValue, operand),
+  $ne: (foundValue, operand) => !equals(foundValue, operand),
+  $gt: (foundValue, operand) => compare(foundValue, operand) > 0,
+  $gte: (foundValue, operand) => compare(foundValue, operand) >= 0,
+  $lt: (foundValue, operand) => compare(foundValue, operand) < 0,
+  $lte: (foundValue, operand) => compare(foundValue, operand) <= 0,
+  $in: (foundValue, operand) => toArray(operand, '$in').some((value) => equals(foundValue, value)),
+  $nin: (foundValue, operand) => !toArray(operand, '$nin').some((value) => equals(foundValue, value)),
+  $between: (foundValue, operand) => {
+    const [min, max] = toArray(operand, '$between');
+    return compare(foundValue, min) >= 0 && compare(foundValue, max) <= 0;
+  },
+  $contains: (foundValue, operand) => {
+    return foundValue !== undefined && String(foundValue).includes(String(operand));
+  },
+  $regex: (foundValue, operand, condition) => {
+    const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options);
+    return foundValue !== undefined && regex.test(String(foundValue));
+  },
+  $exists: (foundValue, operand) => (foundValue !== undefined) === !!operand,
+  $not: (foundValue, operand) => !matchesCondition(foundValue, operand),
+};
+
+/**
+ * Modificadores que acompanham um operador, mas não são avaliados sozinhos.
+ */
+const MODIFIERS = ['$options'];
+
+/**
+ * @param {any} operand
+ * @param {string} operator
+ * @returns {any[]}
+ */
+const toArray = (operand, operator) => {
+  if (!Array.isArray(operand)) {
+    throw new ValidationError('OPERAND_NOT_ARRAY', { operator });
+  }
+  return operand;
+};
+
+/**
+ * Indica se o valor é um objeto de operadores, ex.: { $gt: 10 }.
+ * @param {any} value
+ * @returns {boolean}
+ */
+export const isOperatorObject = (value) => {
+  return isPlainObject(value)
+    && Object.keys(value).length > 0
+    && Object.keys(value).every((key) => key.startsWith('$'));
+};
+
+/**
+ * Indica se a condição de uma coluna é uma igualdade simples, que pode
+ * ser resolvida pelo mapa de chaves primárias.
+ * @param {any} value
+ * @returns {boolean}
+ */
+export const isEqualityCondition = (value) => {
+  return value !== undefined
+    && typeof value !== 'function'
+    && !(value instanceof RegExp)
+    && !isOperatorObject(value);
+};
+
+/**
+ * Verifica se o valor de uma célula atende à condição de uma coluna.
+ * @param {any} foundValue - O valor da célula, ou undefined se estiver vazia.
+ * @param {any} condition
+ * @returns {boolean}
+ */
+export const matchesCondition = (foundValue, condition) => {
+  if (typeof condition === 'function') return !!condition(foundValue);
+
+  if (condition instanceof RegExp) {
+    return foundValue !== undefined && condition.test(String(foundValue));
+  }
+
+  if (!isOperatorObject(condition)) return equals(foundValue, condition);
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (MODIFIERS.includes(operator)) return true;
+
+    const fn = OPERATORS[operator];
+
+    if (!fn) {
+      throw new ValidationError('UNSUPPORTED_OPERATOR', { operator });
+    }
+    return fn(foundValue, operand, condition);
+  });
+};
+
+/**
+ * Verifica se uma linha atende à query.
+ * @param {Query} query
+ * @param {(colName: string) => any} getValue - Retorna o valor da célula na coluna informada.
+ * @returns {boolean}
+ */
+export const matchesQuery = (query, getValue) => {
+  return Object.entries(query || {}).every(([key, condition]) => {
+    switch (key) {
+      case '$and':
+        return toArray(condition, key).every((subquery) => matchesQuery(subquery, getValue));
+      case '$or':
+        return toArray(condition, key).some((subquery) => matchesQuery(subquery, getValue));
+      case '$not':
+        return !matchesQuery(condition, getValue);
+      default:
+        if (key.startsWith('$')) {
+          throw new ValidationError('UNSUPPORTED_OPERATOR', { operator: key });
+        }
+        return matchesCondition(getValue(key), condition);
+    }
+  });
+};
+
+/**
+ * A ordenação aceita por SSheet.read(): o nome de uma coluna (prefixado com "-"
+ * para ordem decrescente), um array desses nomes ou um objeto como { Data: 'desc' }.
+ * @typedef {string|string[]|Object<string, 'asc'|'desc'|1|-1>} Sort
+ */
+
+/**
+ * Normaliza a ordenação para uma lista de chaves e direções (1 ou -1).
+ * @param {Sort} sort
+ * @returns {{key: string, direction: number}[]}
+ */
+export const parseSort = (sort) => {
+  if (typeof sort === 'string') sort = [sort];
+
+  if (Array.isArray(sort)) {
+    return sort.map((key) => key.startsWith('-')
+      ? { key: key.slice(1), direction: -1 }
+      : { key, direction: 1 });
+  }
+
+  return Object.entries(sort).map(([key, direction]) => {
+    if (![1, -1, 'asc', 'desc'].includes(direction)) {
+      throw new ValidationError('INVALID_SORT_DIRECTION', { column: key });
+    }
+    return { key, direction: [-1, 'desc'].includes(direction) ? -1 : 1 };
+  });
+};
+
+/**
+ * Compara dois valores para ordenação. Datas são comparadas cronologicamente,
+ * números numericamente e os demais valores como texto. Células vazias ficam
+ * sempre no final, independentemente da direção.
+ * @param {any} a
+ * @param {any} b
+ * @param {number} [direction] - 1 para crescente, -1 para decrescente.
+ * @returns {number}
+ */
+export const compareForSort = (a, b, direction = 1) => {
+  const aIsEmpty = [undefined, null, ''].includes(a);
+  const bIsEmpty = [undefined, null, ''].includes(b);
+
+  if (aIsEmpty || bIsEmpty) return aIsEmpty === bIsEmpty ? 0 : aIsEmpty ? 1 : -1;
+
+  let result;
+
+  if (isDate(a) && isDate(b)) {
+    result = a.getTime() - b.getTime();
+  } else if (typeof a === 'number' && typeof b === 'number') {
+    result = a - b;
+  } else {
+    result = String(a).localeCompare(String(b));
+  }
+  return result * direction;
+};
@@ -0,0 +1,211 @@
+/**
+ * A política de novas tentativas usada em todas as chamadas aos serviços do
+ * Apps Script e à API do Google Sheets.
+ *
+ * O intervalo entre as tentativas dobra a cada falha, a partir de "baseDelay",
+ * até "maxDelay". O "jitter" sorteia uma parte do intervalo, para que execuções
+ * simultâneas não tentem de novo ao mesmo tempo.
+ *
+ * @typedef {Object} RetryPolicy
+ * @property {number} [maxAttempts] - O número máximo de tentativas, incluindo a primeira. Padrão: 5.
+ * @property {number} [baseDelay] - O intervalo antes da segunda tentativa, em milissegundos. Padrão: 200.
+ * @property {number} [maxDelay] - O maior intervalo entre duas tentativas, em milissegundos. Padrão: 10000.
+ * @property {number} [jitter] - A fração do intervalo que é sorteada, entre 0 e 1. Padrão: 0.5.
+ * @property {(error: any, operation: RetryOperation) => boolean} [isRetryable] - Se a chamada deve
+ * ser tentada de novo depois do erro. Padrão: isRetryableError().
+ * @property {(attempt: RetryAttempt) => void} [onRetry] - Chamada antes de cada nova tentativa, ex.: para
+ * registrar as falhas.
+ * @property {(ms: number) => void} [sleep] - Padrão: Utilities.sleep() no Apps Script e Atomics.wait()
+ * fora dele. Útil para testes.
+ */
+
+/**
+ * @typedef {Object} RetryOperation
+ * @property {string} name - A chamada, ex.: 'getValues'.
+ * @property {boolean} [idempotent] - Se repetir a chamada tem o mesmo efeito que fazê-la uma vez.
+ * Padrão: true.
+ */
+
+/**
+ * @typedef {Object} RetryAttempt
+ * @property {string} operation - O nome da chamada.
+ * @property {number} attempt - O número da tentativa que falhou, a partir de 1.
+ * @property {number} delay - Quantos milissegundos serão aguardados até a próxima tentativa.
+ * @property {any} error
+ */
+
+/**
+ * Os erros de limite de uso, que são lançados antes de a chamada ser executada.
+ */
+const RATE_LIMIT_PATTERN = /too many|rate limit|limit exceeded|muitas vezes|excedeu o limite/i;
+
+/**
+ * Os erros temporários dos servidores. A chamada pode ter sido executada antes
+ * do erro, por isso elas só são tentadas de novo se forem idempotentes.
+ */
+const TRANSIENT_PATTERN = new RegExp([
+  'timed out',
+  'tempo limite',
+  'service \\w+ failed',
+  'service unavailable',
+  'server error',
+  'internal error',
+  'backend error',
+  'erro no servidor',
+  'erro interno',
+  'try again',
+  'tente novamente',
+  'address unavailable',
+  'unexpected error',
+  'erro inesperado',
+  'returned code 5\\d\\d',
+].join('|'), 'i');
+
+/** @type {RetryPolicy} */
+const DEFAULT_RETRY_POLICY = {
+  baseDelay: 200,
+  jitter: 0.5,
+  maxAttempts: 5,
+  maxDelay: 10000,
+};
+
+/** @type {RetryPolicy} */
+let currentRetryPolicy = DEFAULT_RETRY_POLICY;
+
+/**
+ * O classificador padrão: tenta de novo os erros de limite de uso e, nas
+ * chamadas idempotentes, os erros temporários, como "Service Spreadsheets
+ * timed out while accessing document".
+ * @param {any} error
+ * @param {RetryOperation} [operation]
+ * @returns {boolean}
+ */
+export const isRetryableError = (error, { idempotent = true } = {}) => {
+  const status = error && error.context && error.context.status;
+  const message = String(error && error.message !== undefined ? error.message : error);
+
+  if (status === 429 || RATE_LIMIT_PATTERN.test(message)) return true;
+  if (!idempotent) return false;
+
+  return status >= 500 || TRANSIENT_PATTERN.test(message);
+};
+
+/**
+ * Define a política usada pelas chamadas que não têm uma política própria.
+ * As opções omitidas usam os valores padrão.
+ * @param {RetryPolicy} retryPolicy
+ * @returns {void}
+ */
+export const setRetryPolicy = (retryPolicy = {}) => {
+  currentRetryPolicy = { ...DEFAULT_RETRY_POLICY, ...retryPolicy };
+};
+
+/**
+ * @returns {RetryPolicy}
+ */
+export const getRetryPolicy = () => currentRetryPolicy;
+
+/**
+ * @param {RetryPolicy} retryPolicy
+ * @param {number} attempt - A tentativa que falhou, a partir de 1.
+ * @returns {number}
+ */
+const getDelay = ({ baseDelay, jitter, maxDelay }, attempt) => {
+  const delay = Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+  return Math.round(delay * (1 - jitter * Math.random()));
+};
+
+/**
+ * @param {RetryPolicy} [retryPolicy]
+ * @returns {RetryPolicy}
+ */
+const resolvePolicy = (retryPolicy) => ({ ...currentRetryPolicy, ...retryPolicy });
+
+/**
+ * Decide se a chamada deve ser tentada de novo e avisa "onRetry".
+ * @param {RetryPolicy} policy
+ * @param {RetryOperation} operation
+ * @param {number} attempt
+ * @param {any} error
+ * @returns {number|undefined} Quantos milissegundos aguardar, ou undefined para desistir.
+ */
+const getRetryDelay = (policy, operation, attempt, error) => {
+  const { isRetryable = isRetryableError, maxAttempts, onRetry } = policy;
+
+  if (attempt >= maxAttempts || !isRetryable(error, operation)) return undefined;
+
+  const delay = getDelay(policy, attempt);
+  if (onRetry) onRetry({ attempt, delay, error, operation: operation.name });
+  return delay;
+};
+
+/**
+ * Espera de forma síncrona. Fora do Apps Script, bloqueia a execução com
+ * Atomics.wait(), que não está disponível na thread principal dos navegadores.
+ * @param {number} ms
+ * @returns {void}
+ */
+const sleepSync = (ms) => {
+  if (typeof Utilities !== 'undefined') {
+    Utilities.sleep(ms);
+  } else {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+  }
+};
+
+/**
+ * @param {string|RetryOperation} operation
+ * @returns {RetryOperation}
+ */
+const toOperation = (operation) => (typeof operation === 'string' ? { name: operation } : operation);
+
+/**
+ * Executa "fn", tentando de novo conforme a política. Lança o último erro
+ * quando as tentativas acabam ou o erro não permite uma nova tentativa.
+ * @template T
+ * @param {string|RetryOperation} operation
+ * @param {() => T} fn
+ * @param {RetryPolicy} [retryPolicy] - Padrão: a política definida com setRetryPolicy().
+ * @returns {T}
+ */
+export const withRetry = (operation, fn, retryPolicy = undefined) => {
+  const policy = resolvePolicy(retryPolicy);
+  const op = toOperation(operation);
+  const sleep = policy.sleep || sleepSync;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return fn();
+    } catch (e) {
+      const delay = getRetryDelay(policy, op, attempt, e);
+
+      if (delay === undefined) throw e;
+      sleep(delay);
+    }
+  }
+};
+
+/**
+ * A versão assíncrona de withRetry(), para chamadas que retornam uma Promise.
+ * @template T
+ * @param {string|RetryOperation} operation
+ * @param {() => Promise<T>} fn
+ * @param {RetryPolicy} [retryPolicy]
+ * @returns {Promise<T>}
+ */
+export const withRetryAsync = async (operation, fn, retryPolicy = undefined) => {
+  const policy = resolvePolicy(retryPolicy);
+  const op = toOperation(operation);
+  const sleep = policy.sleep || ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (e) {
+      const delay = getRetryDelay(policy, op, attempt, e);
+
+      if (delay === undefined) throw e;
+      await sleep(delay);
+    }
+  }
+};
@@ -0,0 +1,371 @@
+import { isDate, startOfDay } from 'date-fns';
+import { ValidationError } from './errors.js';
+
+/**
+ * @typedef {import('./adapters/storage-adapter.js').DataValidationRule} DataValidationRule
+ */
+
+/**
+ * Esquemas de colunas usados por SSheet.schema.
+ *
+ * Cada chave é o nome de uma coluna na planilha. Na leitura, os valores são
+ * convertidos para o tipo da coluna quando possível; na gravação, valores que
+ * não podem ser convertidos são rejeitados.
+ *
+ * Ex.: { Idade: { type: 'integer', required: true, min: 0 }, Status: { type: 'enum', values: ['Aberto', 'Fechado'], default: 'Aberto' } }
+ *
+ * @typedef {Object<string, ColumnSchema>} Schema
+ */
+
+/**
+ * @typedef {'number'|'integer'|'string'|'boolean'|'date'|'datetime'|'enum'|'json'} ColumnType
+ */
+
+/**
+ * @typedef {Object} ColumnSchema
+ * @property {ColumnType} type
+ * @property {boolean} [required] - Se true, SSheet.save() não aceita a célula vazia.
+ * @property {any|(() => any)} [default] - O valor usado ao inserir uma linha sem ele.
+ * @property {any[]} [values] - Os valores aceitos pelo tipo "enum".
+ * @property {number|Date|string} [min] - O menor valor aceito nos tipos "number", "integer", "date" e "datetime".
+ * @property {number|Date|string} [max] - O maior valor aceito nos tipos "number", "integer", "date" e "datetime".
+ * @property {string|RegExp} [pattern] - A expressão regular que os valores do tipo "string" devem atender.
+ * Nas regras de validação da planilha, ela é usada pela função REGEXMATCH, que não aceita
+ * todos os recursos das expressões regulares do JavaScript.
+ * @property {string[]} [aliases] - Nomes anteriores da coluna, usados por SSheet.ensureColumns()
+ * para renomear o cabeçalho em vez de criar uma nova coluna.
+ */
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+export const isEmptyValue = (value) => [undefined, null, ''].includes(value);
+
+const TRUE_STRINGS = ['true', '1', 'sim', 'yes'];
+const FALSE_STRINGS = ['false', '0', 'não', 'nao', 'no'];
+
+/**
+ * @param {any} value
+ * @returns {Date}
+ */
+const toDate = (value) => {
+  if (isDate(value)) return isNaN(value.getTime()) ? undefined : value;
+  if (typeof value !== 'string' || !value.trim() || !isNaN(Number(value))) return undefined;
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Funções que convertem um valor não vazio para o tipo da coluna. Lançam
+ * a mensagem de erro se o valor não puder ser convertido.
+ * @type {Object<ColumnType, (value: any, column: ColumnSchema) => any>}
+ */
+const PARSERS = {
+  number: (value) => {
+    const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+
+    if (typeof number !== 'number' || isNaN(number)) {
+      throw new ValidationError('NOT_A_NUMBER', { value });
+    }
+    return number;
+  },
+  integer: (value) => {
+    const number = PARSERS.number(value);
+
+    if (!Number.isInteger(number)) {
+      throw new ValidationError('NOT_AN_INTEGER', { value });
+    }
+    return number;
+  },
+  string: (value) => isDate(value) ? value.toISOString() : String(value),
+  boolean: (value) => {
+    if (typeof value === 'boolean') return value;
+
+    const text = String(value).trim().toLowerCase();
+
+    if (TRUE_STRINGS.includes(text)) return true;
+    if (FALSE_STRINGS.includes(text)) return false;
+
+    throw new ValidationError('NOT_A_BOOLEAN', { value });
+  },
+  date: (value) => {
+    const date = toDate(value);
+
+    if (!date) throw new ValidationError('NOT_A_DATE', { value });
+    return startOfDay(date);
+  },
+  datetime: (value) => {
+    const date = toDate(value);
+
+    if (!date) throw new ValidationError('NOT_A_DATETIME', { value });
+    return date;
+  },
+  enum: (value, { values = [] }) => {
+    if (!values.includes(value)) {
+      throw new ValidationError('NOT_IN_ENUM', { value, values });
+    }
+    return value;
+  },
+  json: (value) => {
+    if (typeof value !== 'string') return value;
+
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      throw new ValidationError('INVALID_JSON', { value });
+    }
+  },
+};
+
+/**
+ * Os tipos que aceitam as opções "min" e "max".
+ */
+const RANGE_TYPES = ['number', 'integer', 'date', 'datetime'];
+
+/**
+ * Retorna uma cópia da expressão, sem as flags "g" e "y", com as quais RegExp.test()
+ * guardaria a posição da última verificação em "lastIndex".
+ * @param {ColumnSchema} column
+ * @returns {RegExp|undefined}
+ */
+const getPattern = ({ pattern }) => {
+  if (pattern === undefined) return undefined;
+  return pattern instanceof RegExp ? new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, '')) : new RegExp(pattern);
+};
+
+/**
+ * Verifica se as opções "min", "max" e "pattern" podem ser usadas com o tipo da coluna.
+ * @param {ColumnSchema} column
+ * @returns {boolean}
+ */
+const hasValidConstraints = (column) => {
+  const { max, min, pattern, type } = column;
+
+  const isValidBound = (bound) => bound === undefined || (RANGE_TYPES.includes(type) && (
+    ['number', 'integer'].includes(type) ? typeof bound === 'number' : !!toDate(bound)
+  ));
+
+  if (!isValidBound(min) || !isValidBound(max)) return false;
+  if (pattern === undefined) return true;
+
+  try {
+    return type === 'string' && !!getPattern(column);
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Verifica se o esquema é válido.
+ * @param {Schema} schema
+ * @returns {void}
+ */
+export const assertValidSchema = (schema) => {
+  Object.entries(schema || {}).forEach(([colName, column]) => {
+    if (!column || !PARSERS[column.type]) {
+      throw new ValidationError('INVALID_COLUMN_TYPE', { column: colName, types: Object.keys(PARSERS) });
+    }
+    if (column.type === 'enum' && !Array.isArray(column.values)) {
+      throw new ValidationError('ENUM_VALUES_REQUIRED', { column: colName });
+    }
+    if (!hasValidConstraints(column)) {
+      throw new ValidationError('INVALID_COLUMN_CONSTRAINT', { column: colName });
+    }
+  });
+};
+
+/**
+ * Verifica as opções "min", "max" e "pattern" da coluna.
+ * @param {any} parsed - O valor já convertido para o tipo da coluna.
+ * @param {ColumnSchema} column
+ * @param {any} value - O valor original, usado nas mensagens de erro.
+ * @returns {void}
+ * @throws {ValidationError} Se o valor não atender a alguma delas.
+ */
+const assertConstraints = (parsed, column, value) => {
+  const { max, min, type } = column;
+
+  const toComparable = (value) => ['date', 'datetime'].includes(type) ? toDate(value).getTime() : value;
+
+  if (min !== undefined && toComparable(parsed) < toComparable(min)) {
+    throw new ValidationError('BELOW_MIN', { min, value });
+  }
+  if (max !== undefined && toComparable(parsed) > toComparable(max)) {
+    throw new ValidationError('ABOVE_MAX', { max, value });
+  }
+
+  const pattern = getPattern(column);
+
+  if (pattern && !pattern.test(String(parsed))) {
+    throw new ValidationError('PATTERN_MISMATCH', { pattern, value });
+  }
+};
+
+/**
+ * Converte o valor de uma célula para o tipo da coluna.
+ * @param {any} value
+ * @param {ColumnSchema} column
+ * @returns {any} undefined se a célula estiver vazia.
+ * @throws {ValidationError} Se o valor não puder ser convertido.
+ */
+export const parseValue = (value, column) => {
+  if (isEmptyValue(value)) return undefined;
+  return PARSERS[column.type](value, column);
+};
+
+/**
+ * Converte o valor para o tipo da coluna, mantendo o valor original se não for
+ * possível. Usada na leitura, para que células preenchidas à mão não impeçam
+ * SSheet.read().
+ * @param {any} value
+ * @param {ColumnSchema} column
+ * @returns {any}
+ */
+export const coerceValue = (value, column) => {
+  try {
+    return parseValue(value, column);
+  } catch (e) {
+    return value;
+  }
+};
+
+/**
+ * Converte o valor para o que deve ser gravado na célula: JSON é gravado
+ * como texto e células vazias como "".
+ * @param {any} value
+ * @param {ColumnSchema} column
+ * @returns {any}
+ * @throws {ValidationError} Se o valor não puder ser convertido ou não atender a "min", "max" ou "pattern".
+ */
+export const toCellValue = (value, column) => {
+  const parsed = parseValue(value, column);
+
+  if (parsed === undefined) return '';
+
+  assertConstraints(parsed, column, value);
+  return column.type === 'json' ? JSON.stringify(parsed) : parsed;
+};
+
+/**
+ * @param {any} value
+ * @returns {string} O valor como um literal de fórmula.
+ */
+const toFormulaLiteral = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
+/**
+ * Converte as regras da coluna em uma regra de validação de dados da planilha.
+ * A opção "required" não tem equivalente, já que a planilha não valida
+ * células vazias.
+ * @param {ColumnSchema} column
+ * @param {string} cell - A primeira célula do intervalo validado, em notação A1, usada nas fórmulas.
+ * @returns {DataValidationRule|undefined} undefined se a coluna não tiver regras que a planilha possa verificar.
+ */
+export const getDataValidationRule = (column, cell) => {
+  const { max, min, type } = column;
+
+  if (type === 'enum') return { type: 'list', values: column.values };
+
+  if (['date', 'datetime'].includes(type)) {
+    return { max: max === undefined ? undefined : toDate(max), min: min === undefined ? undefined : toDate(min), type: 'date' };
+  }
+
+  const conditions = [];
+
+  if (['number', 'integer'].includes(type)) conditions.push(`ISNUMBER(${cell})`);
+  if (type === 'integer') conditions.push(`INT(${cell})=${cell}`);
+  if (min !== undefined) conditions.push(`${cell}>=${min}`);
+  if (max !== undefined) conditions.push(`${cell}<=${max}`);
+
+  const pattern = getPattern(column);
+
+  if (pattern) {
+    const source = (pattern.flags.includes('i') ? '(?i)' : '') + pattern.source;
+    conditions.push(`REGEXMATCH(TO_TEXT(${cell}), ${toFormulaLiteral(source)})`);
+  }
+
+  if (!conditions.length) return undefined;
+
+  const formula = conditions.length > 1 ? `AND(${conditions.join(', ')})` : conditions[0];
+  return { formula: `=${formula}`, type: 'formula' };
+};
+
+/**
+ * @param {ColumnSchema} column
+ * @returns {any}
+ */
+export const getDefaultValue = (column) => {
+  return typeof column.default === 'function' ? column.default() : column.default;
+};
+
+/**
+ * @param {any} value
+ * @returns {ColumnType}
+ */
+const inferType = (value) => {
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+
+  //Números gravados como texto, ex.: em colunas formatadas como texto simples
+  if (typeof value === 'string' && value.trim() && !isNaN(Number(value))) return inferType(Number(value));
+  if (isDate(value)) return startOfDay(value).getTime() === value.getTime() ? 'date' : 'datetime';
+
+  if (/^\s*[[{]/.test(value)) {
+    try {
+      JSON.parse(value);
+      return 'json';
+    } catch (e) {
+      //Não é JSON
+    }
+  }
+  return 'string';
+};
+
+/**
+ * Combina os tipos encontrados em uma coluna no tipo mais específico que aceita todos eles.
+ * @param {ColumnType[]} types
+ * @returns {ColumnType}
+ */
+const mergeTypes = (types) => {
+  const distinct = [...new Set(types)];
+
+  if (distinct.length === 1) return distinct[0];
+  if (distinct.every((type) => ['integer', 'number'].includes(type))) return 'number';
+  if (distinct.every((type) => ['date', 'datetime'].includes(type))) return 'datetime';
+  return 'string';
+};
+
+/**
+ * Sugere um esquema a partir de uma amostra das linhas. Colunas de texto com
+ * poucos valores distintos, que se repetem, são sugeridas como "enum", e
+ * colunas sem células vazias na amostra, como obrigatórias.
+ * @param {string[]} headerRowData
+ * @param {any[][]} rows
+ * @param {{maxEnumValues?: number}} [options]
+ * @returns {Schema}
+ */
+export const inferSchemaFromRows = (headerRowData, rows, { maxEnumValues = 10 } = {}) => {
+  return headerRowData.reduce((/** @type {Schema} */ schema, colName, index) => {
+    if (!colName) return schema;
+
+    const values = rows.map((rowData) => rowData[index]).filter((value) => !isEmptyValue(value));
+
+    if (!values.length) return schema;
+
+    /** @type {ColumnSchema} */
+    const column = { type: mergeTypes(values.map(inferType)) };
+
+    const distinct = [...new Set(values)];
+
+    if (column.type === 'string' && distinct.length <= maxEnumValues && distinct.length < values.length / 2) {
+      column.type = 'enum';
+      column.values = distinct.sort();
+    }
+
+    if (values.length === rows.length) column.required = true;
+
+    schema[colName] = column;
+    return schema;
+  }, {});
+};
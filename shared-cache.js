@@ -0,0 +1,171 @@
+import { isDate } from 'date-fns';
+
+/**
+ * O cache compartilhado entre execuções usado por SSheet.sharedCache.
+ *
+ * A cópia dos dados da aba é comprimida e dividida em partes, já que o
+ * CacheService aceita valores de até 100KB. As partes são guardadas sob um
+ * carimbo de versão, que é trocado a cada gravação: as cópias antigas deixam
+ * de ser encontradas e expiram sozinhas.
+ *
+ * @typedef {Object} SharedCache
+ * @property {GoogleAppsScript.Cache.Cache} [cache] - Padrão: CacheService.getScriptCache().
+ * @property {string} [key] - O prefixo das chaves no cache. Padrão: formado pelo ID da planilha,
+ * pelo nome da aba e pela região.
+ * @property {number} [expiration] - Por quantos segundos a cópia é mantida, até 21600. Padrão: 600.
+ * @property {number} [maxSize] - O tamanho máximo da cópia comprimida, em caracteres. Cópias
+ * maiores não são guardadas. Padrão: 5000000.
+ */
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {any[][]} data - As linhas da aba, a partir da linha 1.
+ * @property {number} lastRow
+ * @property {number} lastColumn
+ */
+
+/**
+ * O tamanho de cada parte, abaixo do limite de 100KB por valor do CacheService.
+ */
+const CHUNK_SIZE = 90000;
+
+const MAX_EXPIRATION = 21600;
+
+/**
+ * Por quanto tempo o carimbo de versão é mantido. Ele precisa durar mais que as
+ * cópias para que uma cópia nunca seja lida com um carimbo recriado.
+ */
+const VERSION_EXPIRATION = MAX_EXPIRATION;
+
+/**
+ * @param {SharedCache} sharedCache
+ * @returns {GoogleAppsScript.Cache.Cache}
+ */
+const getCache = ({ cache }) => cache || CacheService.getScriptCache();
+
+/**
+ * @returns {string}
+ */
+const createVersion = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+
+/**
+ * Converte a cópia para texto, preservando as datas, e a comprime com o
+ * Utilities, quando disponível. O prefixo indica o formato.
+ * @param {Snapshot} snapshot
+ * @returns {string}
+ */
+const encodeSnapshot = (snapshot) => {
+  const json = JSON.stringify(snapshot, function (key, value) {
+    const raw = this[key];
+    return isDate(raw) ? { $date: raw.getTime() } : value;
+  });
+
+  if (typeof Utilities === 'undefined') return `j:${json}`;
+
+  const blob = Utilities.gzip(Utilities.newBlob(json, 'application/json'));
+  return `z:${Utilities.base64Encode(blob.getBytes())}`;
+};
+
+/**
+ * @param {string} text
+ * @returns {Snapshot}
+ */
+const decodeSnapshot = (text) => {
+  const json = text.startsWith('z:')
+    ? Utilities.ungzip(Utilities.newBlob(Utilities.base64Decode(text.slice(2)), 'application/x-gzip')).getDataAsString()
+    : text.slice(2);
+
+  return JSON.parse(json, (key, value) => {
+    return value && typeof value === 'object' && value.$date !== undefined ? new Date(value.$date) : value;
+  });
+};
+
+/**
+ * Retorna o carimbo de versão atual, criando um se ainda não houver.
+ * @param {SharedCache} sharedCache
+ * @param {string} key
+ * @returns {string}
+ */
+export const getSharedVersion = (sharedCache, key) => {
+  const cache = getCache(sharedCache);
+  const version = cache.get(`${key}:version`);
+
+  if (version) return version;
+  return bumpSharedVersion(sharedCache, key);
+};
+
+/**
+ * Troca o carimbo de versão, invalidando as cópias guardadas.
+ * @param {SharedCache} sharedCache
+ * @param {string} key
+ * @returns {string} O novo carimbo.
+ */
+export const bumpSharedVersion = (sharedCache, key) => {
+  const version = createVersion();
+  getCache(sharedCache).put(`${key}:version`, version, VERSION_EXPIRATION);
+  return version;
+};
+
+/**
+ * @param {SharedCache} sharedCache
+ * @param {string} key
+ * @param {string} version
+ * @returns {Snapshot|undefined} undefined se não houver cópia completa para a versão.
+ */
+export const readSnapshot = (sharedCache, key, version) => {
+  const cache = getCache(sharedCache);
+  const chunks = parseInt(cache.get(`${key}:${version}:chunks`));
+
+  if (!chunks) return undefined;
+
+  const keys = Array.from({ length: chunks }, (_, index) => `${key}:${version}:${index}`);
+  const values = cache.getAll(keys);
+
+  //Uma parte pode ter sido descartada pelo CacheService antes das demais
+  if (keys.some((chunkKey) => typeof values[chunkKey] !== 'string')) return undefined;
+
+  try {
+    return decodeSnapshot(keys.map((chunkKey) => values[chunkKey]).join(''));
+  } catch (e) {
+    return undefined;
+  }
+};
+
+/**
+ * Guarda a cópia sob a versão, se ela couber no tamanho máximo.
+ * @param {SharedCache} sharedCache
+ * @param {string} key
+ * @param {string} version
+ * @param {Snapshot} snapshot
+ * @returns {boolean} Se a cópia foi guardada.
+ */
+export const writeSnapshot = (sharedCache, key, version, snapshot) => {
+  const { expiration = 600, maxSize = 5000000 } = sharedCache;
+  const text = encodeSnapshot(snapshot);
+
+  if (text.length > maxSize) return false;
+
+  const chunks = Math.ceil(text.length / CHUNK_SIZE);
+
+  /** @type {Object<string, string>} */
+  const values = {};
+
+  for (let index = 0; index < chunks; index++) {
+    values[`${key}:${version}:${index}`] = text.slice(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE);
+  }
+
+  const seconds = Math.min(expiration, MAX_EXPIRATION);
+  const cache = getCache(sharedCache);
+
+  try {
+    cache.putAll(values, seconds);
+
+    //A quantidade de partes é gravada por último, para que uma cópia
+    //incompleta nunca seja lida
+    cache.put(`${key}:${version}:chunks`, String(chunks), seconds);
+    return true;
+  } catch (e) {
+    //Sem espaço no CacheService: os dados continuam sendo lidos da planilha
+    return false;
+  }
+};
@@ -1,11 +1,62 @@
 import Model from '@mdev-js/model';
-import { differenceInSeconds, isDate, isSameMinute } from 'date-fns';
+import { differenceInSeconds, isDate, isSameMinute, startOfMinute } from 'date-fns';
+import {
+  AppsScriptAdapter,
+  getPDFFromSheet,
+  mergeThreeDimensionalArrays,
+  safelyGetSheetByName,
+  safelyOpenSpreadsheetById,
+} from './adapters/apps-script.js';
+import { aggregateRows } from './aggregate.js';
+import {
+  ConflictError,
+  formatMessage,
+  PrimaryKeyViolationError,
+  RowNotFoundError,
+  SSheetError,
+  ValidationError,
+} from './errors.js';
+import { compareForSort, isEqualityCondition, matchesQuery, parseSort } from './query.js';
+import { withRetry } from './retry.js';
+import { bumpSharedVersion, getSharedVersion, readSnapshot, writeSnapshot } from './shared-cache.js';
+import {
+  assertValidSchema,
+  coerceValue,
+  getDataValidationRule,
+  getDefaultValue,
+  inferSchemaFromRows,
+  isEmptyValue,
+  toCellValue,
+} from './schema.js';
+
+export { AppsScriptAdapter } from './adapters/apps-script.js';
+export { MemoryAdapter } from './adapters/memory.js';
+export { SheetsApiAdapter } from './adapters/sheets-api.js';
+export {
+  ConflictError,
+  formatMessage,
+  PrimaryKeyViolationError,
+  RowNotFoundError,
+  SpreadsheetUnavailableError,
+  SSheetError,
+  ValidationError,
+  addErrorCatalog,
+  setErrorLocale,
+} from './errors.js';
+export { isRetryableError, setRetryPolicy, withRetry } from './retry.js';
 
 /**
  * @typedef {GoogleAppsScript.Spreadsheet.Spreadsheet} Spreadsheet
  * @typedef {GoogleAppsScript.Spreadsheet.Sheet} Sheet
  * @typedef {GoogleAppsScript.Spreadsheet.Range} Range
  * @typedef {GoogleAppsScript.Drive.File} File
+ * @typedef {import('./query.js').Query} Query
+ * @typedef {import('./aggregate.js').Metrics} Metrics
+ * @typedef {import('./schema.js').Schema} Schema
+ * @typedef {import('./schema.js').ColumnSchema} ColumnSchema
+ * @typedef {import('./shared-cache.js').SharedCache} SharedCache
+ * @typedef {import('./retry.js').RetryPolicy} RetryPolicy
+ * @typedef {import('./adapters/storage-adapter.js').StorageAdapter} StorageAdapter
  */
 
  /**
@@ -13,6 +64,11 @@ import { differenceInSeconds, isDate, isSameMinute } from 'date-fns';
  * @property {string|string[]} [primaryKey] - A chave primária ou array de chaves primárias.
  * @property {string} sheetName - O nome da planilha.
  * @property {string} ssId - O ID da planilha.
+ * @property {StorageAdapter} [adapter] - Onde os dados são lidos e gravados. Padrão: AppsScriptAdapter.
+ * @property {string} [rangeName] - Um intervalo nomeado com o cabeçalho e os dados. Limita a
+ * leitura, a gravação e o cache ao intervalo, que é expandido quando linhas são inseridas.
+ * @property {RetryPolicy} [retryPolicy] - As novas tentativas das chamadas ao Apps Script.
+ * Padrão: a política definida com setRetryPolicy().
  */
 
 /**
@@ -24,28 +80,473 @@ import { differenceInSeconds, isDate, isSameMinute } from 'date-fns';
  */
 
 /**
- * @param {any[]} arrayA
- * @param {any[]} arrayB
- * @returns {any[]}
+ * @typedef {Object} CachePolicy
+ * @property {number} [maxAge] - Por quantos segundos o cache é usado sem verificação. Padrão: 60.
+ * @property {'reload'|'fingerprint'} [onExpire] - O que fazer com o cache expirado: relê-lo ou
+ * compará-lo com a impressão digital da aba (a última linha e a última coluna e um checksum do
+ * cabeçalho e das colunas da chave primária), relendo-o só se ela mudou. A impressão digital não
+ * percebe alterações nas demais colunas. Padrão: 'reload'.
  */
-const mergeThreeDimensionalArrays = (arrayA, arrayB) => {
-  const mergeTwoDimentionalArrays = (arrayA, arrayB) => {
-    const biggestArray = arrayA.length >= arrayB.length ? arrayA : arrayB;
-    const smallestArray = arrayA.length >= arrayB.length ? arrayB : arrayA;
 
-    return biggestArray.map((value, index) => value || smallestArray[index]);
-  };
+/**
+ * @typedef {Object} Locking
+ * @property {'script'|'document'|'user'} [scope] - O escopo do bloqueio. Padrão: 'script'.
+ * @property {number} [timeout] - Quanto tempo esperar pelo bloqueio em cada tentativa, em milissegundos. Padrão: 10000.
+ * @property {number} [retries] - Quantas vezes tentar novamente depois da primeira tentativa. Padrão: 2.
+ * @property {GoogleAppsScript.Lock.LockService} [lockService] - Padrão: LockService. Útil para testes.
+ */
+
+/**
+ * @typedef {Object} ReadOptions
+ * @property {import('./query.js').Sort} [sort] - Ex.: ['Cliente', '-Data'] ou { Data: 'desc' }.
+ * @property {string[]} [fields] - As colunas (ou chaves do columnMap) a serem retornadas.
+ * @property {number} [offset] - Quantos registros pular.
+ * @property {number} [limit] - A quantidade máxima de registros.
+ * @property {string} [cursor] - O "nextCursor" da página anterior, com a mesma ordenação. Tem
+ * prioridade sobre "offset".
+ * @property {string[]} [include] - As relações cujos registros devem ser adicionados aos registros
+ * retornados, em SSheet.read() e SSheet.readPage(). Relações aninhadas são separadas por ".",
+ * ex.: ['cliente', 'itens.produto'].
+ * @property {boolean} [withDeleted] - Se true, inclui as linhas marcadas com o "softDeleteColumn".
+ */
+
+/**
+ * @typedef {Object} ReadResult
+ * @property {Model[]|RowObject[]} records - Os registros da página.
+ * @property {number} total - A quantidade total de registros que atendem à query.
+ * @property {number} offset - A posição do primeiro registro da página.
+ * @property {string} [nextCursor] - O cursor da próxima página, se houver. Ele guarda os valores
+ * de ordenação e a chave primária do último registro, e não a sua posição, para que a próxima
+ * página continue do mesmo ponto mesmo que linhas sejam inseridas ou excluídas.
+ */
+
+/**
+ * @typedef {Object} ConcurrencyControl
+ * @property {string} [versionColumn] - A coluna com a versão da linha. Sem ela, a
+ * linha é comparada com a cópia guardada por SSheet.read().
+ * @property {'number'|'timestamp'} [versionType] - Como a versão é incrementada a cada gravação.
+ * @property {boolean} [merge] - Se true, grava apenas as colunas alteradas pelo chamador e só
+ * lança ConflictError se elas também tiverem sido alteradas por outro usuário.
+ */
+
+/**
+ * @typedef {Object} GeneratedKey
+ * @property {string} column - A coluna (ou chave do columnMap) preenchida ao inserir linhas.
+ * @property {'increment'|'uuid'|((params: {sheet: SSheet, rowObject: RowObject}) => any)} [strategy] - Padrão: 'increment'.
+ * O incremento só é seguro entre execuções simultâneas com SSheet.locking e não pode ser usado
+ * durante uma transação. O 'uuid' usa Utilities.getUuid() ou, fora do Apps Script, crypto.randomUUID().
+ */
+
+/**
+ * @typedef {Object} IndexDefinition
+ * @property {string|string[]} columns - A coluna ou as colunas que compõem o índice.
+ * @property {boolean} [unique] - Se true, SSheet.save() não aceita valores repetidos.
+ */
+
+/**
+ * @typedef {Object} SecondaryIndex
+ * @property {string} name - O nome do índice, formado pelas colunas separadas por "&".
+ * @property {string[]} colNames - As colunas que compõem o índice.
+ * @property {boolean} unique
+ * @property {Object<string, number[]>} map - Os números das linhas por chave.
+ * @property {Object<number, string>} keysByRow - A chave de cada linha indexada.
+ */
+
+/**
+ * @typedef {Object} SavedRecord
+ * @property {object|Model} record - O objeto ou Model recebido. Um Model que ainda não era observável
+ * é substituído pela cópia observável criada por Model.makeObservable(): o Model recebido passa a ter
+ * o "rowNumber" e os valores gerados, mas só a cópia registra as alterações que permitem a SSheet.save()
+ * gravar apenas as colunas alteradas. Use "record" nas próximas chamadas.
+ * @property {number} rowNumber - O número da linha na planilha.
+ * @property {string[]} changedColumns - As colunas gravadas.
+ */
+
+/**
+ * @typedef {Object} SaveResult
+ * @property {SavedRecord[]} inserted - Os registros inseridos.
+ * @property {SavedRecord[]} updated - Os registros atualizados.
+ * @property {SavedRecord[]} unchanged - Os registros que já estavam iguais na planilha.
+ */
+
+/**
+ * A região da aba ocupada pela tabela. Os números das linhas continuam sendo
+ * os da aba, e os números das colunas passam a ser relativos à primeira coluna.
+ * @typedef {Object} DataRegion
+ * @property {number} [headerRow] - A última linha do cabeçalho. Os dados começam na linha seguinte. Padrão: 1.
+ * @property {number} [headerRows] - Quantas linhas formam o cabeçalho. Padrão: 1.
+ * @property {string} [headerSeparator] - Separa as partes dos nomes compostos das colunas. Padrão: '.'.
+ * @property {number} [startColumn] - A primeira coluna da tabela. Padrão: 1.
+ * @property {number} [endColumn] - A última coluna da tabela. Padrão: a última coluna com conteúdo.
+ * @property {number} [endRow] - A última linha que pode ser ocupada pela tabela.
+ * @property {string} [headerRange] - Um intervalo nomeado com as linhas do cabeçalho. Define
+ * "headerRow", "headerRows", "startColumn" e "endColumn".
+ */
+
+/**
+ * @typedef {Object} ColumnsReport
+ * @property {string[]} added - As colunas criadas no fim do cabeçalho.
+ * @property {{from: string, to: string}[]} renamed - As colunas renomeadas a partir de um alias.
+ * @property {string[]} unexpected - As colunas do cabeçalho que não estão no esquema.
+ */
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version - A versão da migração. As migrações são aplicadas em ordem crescente.
+ * @property {string} [description]
+ * @property {(sheet: SSheet) => void} up - Aplica a migração, ex.: com SSheet.renameColumn(),
+ * SSheet.splitColumn() ou SSheet.backfill().
+ */
+
+/**
+ * Uma relação com outro objeto SSheet por meio de uma coluna de chave estrangeira.
+ * "belongsTo": a chave estrangeira está nesta tabela e aponta para a chave primária de "target".
+ * "hasMany": a chave estrangeira está em "target" e aponta para a chave primária desta tabela.
+ * @typedef {Object} Relation
+ * @property {'belongsTo'|'hasMany'} type
+ * @property {SSheet} target
+ * @property {string} foreignKey - A coluna (ou chave do columnMap de quem a possui) com a chave estrangeira.
+ * @property {boolean} [checkOnSave] - Apenas em "belongsTo". Se true, SSheet.save() não aceita
+ * chaves estrangeiras sem um registro correspondente em "target".
+ * @property {'cascade'|'restrict'|'setNull'} [onDelete] - Apenas em "hasMany". O que fazer com os
+ * registros de "target" ao excluir um registro: excluí-los, impedir a exclusão ou limpar a chave estrangeira.
+ * Se a exclusão do registro falhar, os registros de "target" são restaurados (os excluídos, no fim da tabela).
+ */
+
+/**
+ * @typedef {Object} AuditOptions
+ * @property {SSheet} sheet - A tabela onde os registros de auditoria são inseridos. As colunas
+ * ausentes são criadas no fim do cabeçalho.
+ * @property {'cell'|'row'} [mode] - Um registro por célula ou por linha alterada. No modo "row",
+ * "Column" tem as colunas alteradas, e "OldValue" e "NewValue", objetos JSON. Padrão: 'cell'.
+ * @property {string|(() => string)} [user] - Padrão: o e-mail do usuário ativo, no Apps Script.
+ */
+
+/**
+ * Uma linha inserida ou atualizada por SSheet.save(), a ser registrada na auditoria.
+ * @typedef {Object} AuditEntry
+ * @property {'insert'|'update'} action
+ * @property {SavedRecord} savedRecord - Tem o número da linha, conhecido só depois da gravação.
+ * @property {any[]} rowData - A linha gravada, de onde é lida a chave primária.
+ * @property {{colName: string, oldValue: any, newValue: any}[]} changes
+ * @property {Date} timestamp
+ * @property {string} [reason]
+ */
+
+/**
+ * @typedef {Object} SaveOptions
+ * @property {string} [reason] - O motivo da alteração, registrado na auditoria.
+ */
+
+/**
+ * O que fazer com os erros capturados por SSheet.render(), SSheet.handleEditEvent() e
+ * SSheet.refreshFilterViews(): lançá-los, guardá-los em SSheet.errors, registrá-los no
+ * console ou passá-los a uma função.
+ * @typedef {'throw'|'collect'|'log'|((failure: Failure) => void)} ErrorPolicy
+ */
+
+/**
+ * @typedef {Object} Failure
+ * @property {string} method - O método onde ocorreu o erro, ex.: 'render()'.
+ * @property {string} [key] - A chave de "rangesA1" que não foi preenchida.
+ * @property {string} [range] - O intervalo em notação A1 ou a aba envolvida.
+ * @property {Error} error
+ */
+
+/**
+ * @typedef {Object} FailureReport
+ * @property {boolean} ok - Se não houve nenhum erro.
+ * @property {Failure[]} failures - Os erros capturados, na ordem em que ocorreram.
+ */
+
+/**
+ * Uma célula alterada, recebida pelos handlers de SSheet.on() e pelo callback de
+ * SSheet.handleEditEvent(). Edições de várias células geram um evento por célula.
+ * @typedef {Object} EditEvent
+ * @property {string} [colName] - A coluna da tabela, se a célula estiver na tabela.
+ * @property {string} [key] - A chave do columnMap da coluna, se houver.
+ * @property {number} colNumber - O número da coluna na aba.
+ * @property {number} rowNumber
+ * @property {any} value
+ * @property {any} [oldValue] - Em edições de várias células, é lido do cache, quando houver.
+ * @property {RowObject|Model} [record] - A linha inteira, como retornada por SSheet.read(), se a
+ * célula estiver na tabela.
+ * @property {Range} range - O intervalo editado, que pode ter outras células.
+ * @property {Sheet} sheet
+ * @property {string} sheetName
+ * @property {Spreadsheet} spreadsheet
+ * @property {string} ssId
+ * @property {ValidationError} [error] - O erro da célula, se SSheet.editValidation for 'flag' e o
+ * valor não atender ao esquema.
+ */
+
+/**
+ * Como SSheet.handleEditEvent() trata as células editadas que não atendem ao esquema:
+ * 'flag' adiciona uma nota à célula e 'revert' restaura o valor anterior, lido do cache.
+ * Sem o cache, a célula é marcada como em 'flag'. O cache guarda os valores, não as
+ * fórmulas: só as colunas calculadas por uma fórmula MAP no cabeçalho voltam a ter a fórmula.
+ * @typedef {'flag'|'revert'} EditValidation
+ */
+
+/**
+ * O prefixo das notas adicionadas às células inválidas, usado para removê-las
+ * quando a célula é corrigida.
+ */
+const VALIDATION_NOTE_PREFIX = 'SSheet: ';
+
+/**
+ * Uma linha inserida ou excluída, recebida pelos handlers de SSheet.onInsertRow()
+ * e SSheet.onDeleteRow().
+ * @typedef {Object} RowEvent
+ * @property {number} rowNumber - Em exclusões, o número que a linha tinha.
+ * @property {RowObject|Model} [record] - Em exclusões, a linha excluída, se ela estava no cache
+ * (inclusive no cache compartilhado).
+ * @property {Sheet} sheet
+ * @property {string} sheetName
+ * @property {Spreadsheet} spreadsheet
+ * @property {string} ssId
+ */
+
+/**
+ * @typedef {Object} Transaction
+ * @property {number} lastRow - A última linha da planilha quando a transação foi iniciada.
+ * @property {SavedRecord[]} inserted - Os registros inseridos durante a transação.
+ * @property {AuditEntry[]} audit - As alterações a serem registradas na auditoria por SSheet.commit().
+ * @property {Object<number, any[]>} backup - Cópia das linhas originais alteradas durante a transação.
+ * @property {Object<number, boolean>} rowsToUpdate - As linhas existentes que foram alteradas.
+ * @property {number} [minCol] - A menor coluna alterada.
+ * @property {number} [maxCol] - A maior coluna alterada.
+ */
+
+/**
+ * O nome padrão da aba onde SSheet.migrate() registra as migrações aplicadas.
+ */
+const MIGRATIONS_SHEET_NAME = 'SSheetMigrations';
+
+/**
+ * As colunas da tabela de auditoria.
+ */
+const AUDIT_COLUMNS = ['Sheet', 'Action', 'Key', 'Column', 'OldValue', 'NewValue', 'Timestamp', 'User', 'Reason'];
+
+/**
+ * @type {Schema}
+ */
+const MIGRATIONS_SCHEMA = {
+  Sheet: { required: true, type: 'string' },
+  Version: { required: true, type: 'integer' },
+  Description: { type: 'string' },
+  AppliedAt: { type: 'datetime' },
+};
+
+/**
+ * Separa as partes dos nomes das colunas de um cabeçalho com várias linhas. Uma
+ * célula vazia nas linhas superiores repete o valor da célula à esquerda (como em
+ * células mescladas) enquanto houver subtítulos abaixo dela.
+ * Ex.: [['ID', 'Endereço', ''], ['', 'Rua', 'Cidade']] => [['ID', ''], ['Endereço', 'Rua'], ['Endereço', 'Cidade']]
+ * @param {any[][]} rows - As linhas do cabeçalho.
+ * @returns {string[][]} As partes do nome de cada coluna, uma por linha do cabeçalho.
+ */
+const getHeaderParts = (rows) => {
+  const lastIndex = rows.length - 1;
+  const toText = (value) => [undefined, null].includes(value) ? '' : String(value).trim();
+
+  /** @type {string[]} */
+  const groups = rows.map(() => '');
+
+  return rows[lastIndex].map((_, colIndex) => {
+    return rows.map((rowData, rowIndex) => {
+      const value = toText(rowData[colIndex]);
+
+      if (rowIndex === lastIndex) return value;
+
+      const hasSubheader = rows.slice(rowIndex + 1).some((rowData) => toText(rowData[colIndex]));
+
+      if (value) {
+        groups[rowIndex] = hasSubheader ? value : '';
+        return value;
+      }
+      if (!hasSubheader) groups[rowIndex] = '';
+
+      return groups[rowIndex];
+    });
+  });
+};
+
+/**
+ * Agrupa números inteiros consecutivos, mantendo a ordem recebida.
+ * Ex.: [2, 3, 4, 8, 9] => [[2, 3, 4], [8, 9]] e [9, 8, 4] => [[9, 8], [4]]
+ * @param {number[]} numbers
+ * @returns {number[][]}
+ */
+const groupConsecutiveNumbers = (numbers) => {
+  return numbers.reduce((/** @type {number[][]} */ groups, number, index) => {
+    const previous = numbers[index - 1];
+
+    if (index && Math.abs(number - previous) === 1) {
+      groups[groups.length - 1].push(number);
+    } else {
+      groups.push([number]);
+    }
+    return groups;
+  }, []);
+};
+
+/**
+ * Converte o valor de uma célula em parte da chave de um índice secundário. O tipo
+ * faz parte da chave para que 10 e "10" não se confundam, e as datas são truncadas
+ * no minuto, da mesma forma que são comparadas por SSheet.read(). Com o esquema, o
+ * valor é convertido antes, já que SSheet.read() compara os valores convertidos.
+ * @param {any} value
+ * @param {ColumnSchema} [column] - O esquema da coluna, se houver.
+ * @returns {string|undefined} undefined se a célula estiver vazia.
+ */
+const getIndexKeyPart = (value, column = undefined) => {
+  if ([undefined, null, ''].includes(value)) return undefined;
+  if (column) return getIndexKeyPart(coerceValue(value, column));
+
+  return isDate(value)
+    ? `date:${startOfMinute(value).getTime()}`
+    : `${typeof value}:${value}`;
+};
+
+/**
+ * @returns {string} O e-mail do usuário ativo, ou '' fora do Apps Script ou sem permissão.
+ */
+const getActiveUserEmail = () => {
+  try {
+    return typeof Session !== 'undefined' ? Session.getActiveUser().getEmail() : '';
+  } catch (e) {
+    return '';
+  }
+};
+
+/**
+ * Um checksum simples (djb2) dos valores, usado na impressão digital do cache.
+ * As células vazias no fim são ignoradas.
+ * @param {any[]} values
+ * @returns {number}
+ */
+const getChecksum = (values) => {
+  let end = values.length;
+  while (end > 0 && [undefined, null, ''].includes(values[end - 1])) end--;
 
-  if(arrayA.length !== arrayB.length)
-    throw new Error('Arrays A and B must have the same size');
+  let hash = 5381;
 
-  return arrayA.map((arrayRowA, index) => {
-    const arrayRowB = arrayB[index];
-    if(arrayRowA.length !== arrayRowB.length){
-      throw new Error('The rows from array A and B with index ${rowIndex} has different sizes');
+  values.slice(0, end).forEach((value) => {
+    const text = (isDate(value) ? String(value.getTime()) : String(value)) + '\u0000';
+
+    for (let index = 0; index < text.length; index++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(index)) | 0;
     }
-    return mergeTwoDimentionalArrays(arrayRowA, arrayRowB);
   });
+  return hash >>> 0;
+};
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+const isDateLikeString = (value) => {
+  return typeof value === 'string' && isNaN(Number(value)) && !isNaN(Date.parse(value));
+};
+
+/**
+ * @param {any} value
+ * @returns {boolean} Se a planilha pode guardar o valor de outra forma: as fórmulas são
+ * calculadas e textos como "10", "TRUE" ou datas são convertidos, como se fossem digitados.
+ */
+const mayBeConvertedBySheet = (value) => {
+  if (typeof value !== 'string') return false;
+
+  const text = value.trim();
+
+  return text.startsWith('=')
+    || /^[-+]?[\d.,]+%?$/.test(text)
+    || /^(true|false)$/i.test(text)
+    || isDateLikeString(text);
+};
+
+/**
+ * Compara dois valores de célula da mesma forma que SSheet.save():
+ * células vazias são iguais entre si e datas são comparadas até o minuto.
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+const valuesDiffer = (a, b) => {
+  a = [undefined, null].includes(a) ? '' : a;
+  b = [undefined, null].includes(b) ? '' : b;
+  return isDate(a) && isDate(b) ? !isSameMinute(a, b) : a !== b;
+};
+
+/**
+ * Converte o valor atual de uma célula como se fosse gravado com o esquema,
+ * mantendo o valor original se ele não for válido.
+ * @param {any} value
+ * @param {import('./schema.js').ColumnSchema} column
+ * @returns {any}
+ */
+const coerceOldValue = (value, column) => {
+  try {
+    return toCellValue(value, column);
+  } catch (e) {
+    return value;
+  }
+};
+
+/**
+ * Compara duas versões de uma linha. Aceita números, datas e suas
+ * representações em texto, como as recebidas de um web app.
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+const versionsDiffer = (a, b) => {
+  const toVersion = (value) => isDate(value)
+    ? String(value.getTime())
+    : isDateLikeString(value) ? String(Date.parse(value)) : String(value);
+
+  return toVersion(a) !== toVersion(b);
+};
+
+/**
+ * Converte a posição do último registro de uma página no cursor da próxima,
+ * preservando as datas.
+ * @param {any[]} position
+ * @returns {string}
+ */
+const encodeCursor = (position) => JSON.stringify(position, function (key, value) {
+  const raw = this[key];
+  return isDate(raw) ? { $date: raw.getTime() } : value;
+});
+
+/**
+ * @param {string} cursor
+ * @returns {any[]|undefined} undefined se o cursor não for válido.
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(cursor, (key, value) => {
+      return value && typeof value === 'object' && value.$date !== undefined ? new Date(value.$date) : value;
+    });
+    return Array.isArray(position) ? position : undefined;
+  } catch (e) {
+    return undefined;
+  }
+};
+
+/**
+ * @param {number} row
+ * @param {number} column
+ * @returns {string} A célula em notação A1, ex.: (2, 28) => "AB2".
+ */
+const getA1Notation = (row, column) => {
+  let letters = '';
+
+  for (let n = column; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return `${letters}${row}`;
 };
 
 /**
@@ -55,7 +556,7 @@ export default class SSheet {
   /**
    * @param {ConstructorParams} params
    */
-  constructor({ primaryKey, sheetName, ssId }) {
+  constructor({ adapter, primaryKey, rangeName, retryPolicy, sheetName, ssId }) {
     /**
      * @type {string[]}
      * @private
@@ -78,6 +579,18 @@ export default class SSheet {
      */
     this._ssId = ssId;
 
+    /**
+     * @type {StorageAdapter}
+     * @private
+     */
+    this._adapter = adapter;
+
+    /**
+     * @type {AuditOptions}
+     * @private
+     */
+    this._audit = undefined;
+
     /**
      * @type {object}
      * @private
@@ -102,36 +615,112 @@ export default class SSheet {
      */
     this._entity = undefined;
 
+    /**
+     * @type {ErrorPolicy}
+     * @private
+     */
+    this._errorPolicy = 'log';
+
+    /**
+     * @type {EditValidation}
+     * @private
+     */
+    this._editValidation = undefined;
+
+    /**
+     * @type {Failure[]}
+     * @private
+     */
+    this._errors = [];
+
+    /**
+     * Os handlers de SSheet.on(), pela coluna, e de SSheet.onInsertRow() e SSheet.onDeleteRow().
+     * @type {{edit: Object<string, function[]>, insertRow: function[], deleteRow: function[]}}
+     * @private
+     */
+    this._handlers = { deleteRow: [], edit: {}, insertRow: [] };
+
+    /**
+     * @type {GeneratedKey}
+     * @private
+     */
+    this._generatedKey = undefined;
+
     /**
      * @type {number}
      * @private
      */
     this._headerRow = undefined;
 
+    /**
+     * Os nomes das colunas, lidos da linha do cabeçalho ou montados a partir das linhas do cabeçalho.
+     * @type {string[]}
+     * @private
+     */
+    this._headerRowData = undefined;
+
     /**
      * @type {boolean}
      * @private
      */
     this._inTransaction = false;
 
+    /**
+     * @type {SecondaryIndex[]}
+     * @private
+     */
+    this._indexes = [];
+
     /**
      * @type {number}
      * @private
      */
     this._lastColumn = undefined;
 
+    /**
+     * @type {ConcurrencyControl}
+     * @private
+     */
+    this._concurrencyControl = undefined;
+
     /**
      * @type {Date}
      * @private
      */
     this._lastRefreshInCache = undefined;
 
+    /**
+     * @type {CachePolicy}
+     * @private
+     */
+    this._cachePolicy = { maxAge: 60, onExpire: 'reload' };
+
+    /**
+     * A impressão digital dos dados em cache, com a política "fingerprint".
+     * @type {string}
+     * @private
+     */
+    this._fingerprint = undefined;
+
     /**
      * @type {number}
      * @private
      */
     this._lastRow = undefined;
 
+    /**
+     * O bloqueio obtido por SSheet.withLock(), enquanto estiver ativo.
+     * @type {GoogleAppsScript.Lock.Lock}
+     * @private
+     */
+    this._lock = undefined;
+
+    /**
+     * @type {Locking}
+     * @private
+     */
+    this._locking = undefined;
+
     /**
      * @type {Object.<string, number>}
      * @private
@@ -163,55 +752,169 @@ export default class SSheet {
     this._readOnlyKeys = [];
 
     /**
-     * @type {Sheet}
+     * @type {string}
+     * @private
+     */
+    this._rangeName = rangeName;
+
+    /**
+     * Com o "rangeName", a posição da região é lida do intervalo nomeado quando necessária.
+     * @type {DataRegion}
+     * @private
+     */
+    this._region = rangeName
+      ? { headerRows: 1, headerSeparator: '.' }
+      : { headerRows: 1, headerSeparator: '.', startColumn: 1 };
+
+    /**
+     * @type {Object<string, Relation>}
+     * @private
+     */
+    this._relations = {};
+
+    /**
+     * @type {RetryPolicy}
+     * @private
+     */
+    this._retryPolicy = retryPolicy;
+
+    /**
+     * @type {Schema}
+     * @private
+     */
+    this._schema = undefined;
+
+    /**
+     * @type {SharedCache}
+     * @private
+     */
+    this._sharedCache = undefined;
+
+    /**
+     * Cópias das linhas lidas por SSheet.read(), usadas pelo controle de concorrência.
+     * @type {Object<number, any[]>}
      * @private
      */
-    this._sheet = undefined;
+    this._snapshots = {};
 
     /**
-     * @type {Spreadsheet}
+     * @type {string}
      * @private
      */
-    this._spreadsheet = undefined;
+    this._softDeleteColumn = undefined;
 
     /**
      * @type {boolean}
      * @private
      */
     this._keepSheetHidden = false;
+
+    /**
+     * @type {Transaction}
+     * @private
+     */
+    this._transaction = undefined;
   }
 
   /**
-   * Returns the child class name.
-   * @returns {string}
+   * @returns {StorageAdapter}
    * @readonly
    */
-  get className() {
-    return this.constructor.name;
+  get adapter() {
+    if (!this._adapter) {
+      this._adapter = new AppsScriptAdapter({
+        retryPolicy: this._retryPolicy,
+        sheetName: this.sheetName,
+        ssId: this.ssId,
+      });
+    }
+    return this._adapter;
   }
 
   /**
-   * @returns {object}
+   * @returns {AuditOptions}
    */
-  get columnMap() {
-    return this._columnMap;
+  get audit() {
+    return this._audit;
   }
 
   /**
-   * @param {object} columnMap
+   * Ativa a auditoria: SSheet.save() passa a inserir em "sheet" um registro
+   * para cada célula (ou linha) inserida ou alterada.
+   * @param {AuditOptions} audit
    * @returns {void}
    */
-  set columnMap(columnMap) {
-    this._columnMap = columnMap;
+  set audit(audit) {
+    if (audit && !(audit.sheet instanceof SSheet && ['cell', 'row', undefined].includes(audit.mode))) {
+      throw new ValidationError('INVALID_AUDIT', { className: this.className, method: 'audit' });
+    }
+    this._audit = audit;
   }
 
-  get columnsWithMapFormula() {
+  /**
+   * Returns the child class name.
+   * @returns {string}
+   * @readonly
+   */
+  get className() {
+    return this.constructor.name;
+  }
+
+  /**
+   * @returns {CachePolicy}
+   */
+  get cachePolicy() {
+    return this._cachePolicy;
+  }
+
+  /**
+   * Define por quanto tempo o cache é usado e o que fazer quando ele expira.
+   * @param {CachePolicy} cachePolicy
+   * @returns {void}
+   */
+  set cachePolicy({ maxAge = 60, onExpire = 'reload' } = {}) {
+    if (!(typeof maxAge === 'number' && maxAge >= 0) || !['fingerprint', 'reload'].includes(onExpire)) {
+      throw new ValidationError('INVALID_CACHE_POLICY', { className: this.className, method: 'cachePolicy', value: { maxAge, onExpire } });
+    }
+    this._cachePolicy = { maxAge, onExpire };
+    this.updateFingerprint();
+  }
+
+  /**
+   * @returns {object}
+   */
+  get columnMap() {
+    return this._columnMap;
+  }
+
+  /**
+   * @param {object} columnMap
+   * @returns {void}
+   */
+  set columnMap(columnMap) {
+    this._columnMap = columnMap;
+  }
+
+  /**
+   * @returns {ConcurrencyControl}
+   */
+  get concurrencyControl() {
+    return this._concurrencyControl;
+  }
+
+  /**
+   * Ativa o controle de concorrência otimista em SSheet.save().
+   * @param {ConcurrencyControl} concurrencyControl
+   * @returns {void}
+   */
+  set concurrencyControl(concurrencyControl) {
+    this._concurrencyControl = concurrencyControl;
+    this._snapshots = {};
+  }
+
+  get columnsWithMapFormula() {
     if(!this._columnsWithMapFormula){
-      const range = this.sheet.getRange(this.headerRow, 1, 1, this.lastColumn);
-      const formulas = mergeThreeDimensionalArrays(
-        range.getFormulas(),
-        range.getFormulasR1C1()
-      )[0];
+      const formulas = this.adapter.getFormulas(this.headerRow, this.region.startColumn, 1, this.lastColumn)[0];
 
       this._columnsWithMapFormula = formulas
         .reduce((/**@type {any[]}*/ arr, /**@type{string}*/ value, /**@type{number}*/ index) => {
@@ -243,11 +946,86 @@ export default class SSheet {
     this._entity = entity;
   }
 
+  /**
+   * @returns {EditValidation}
+   */
+  get editValidation() {
+    return this._editValidation;
+  }
+
+  /**
+   * Faz SSheet.handleEditEvent() verificar as células editadas conforme o esquema.
+   * As células inválidas são tratadas conforme SSheet.errorPolicy. Com 'flag', os
+   * handlers recebem o erro em "event.error"; com 'revert', eles não são chamados.
+   * Padrão: undefined, sem verificação.
+   * @param {EditValidation} editValidation
+   * @returns {void}
+   */
+  set editValidation(editValidation) {
+    if (![undefined, 'flag', 'revert'].includes(editValidation)) {
+      throw new ValidationError('INVALID_EDIT_VALIDATION', {
+        className: this.className,
+        method: 'editValidation',
+        value: editValidation,
+      });
+    }
+    this._editValidation = editValidation;
+  }
+
+  /**
+   * @returns {ErrorPolicy}
+   */
+  get errorPolicy() {
+    return this._errorPolicy;
+  }
+
+  /**
+   * Define o que fazer com os erros capturados por SSheet.render(),
+   * SSheet.handleEditEvent() e SSheet.refreshFilterViews(). Padrão: 'log'.
+   * @param {ErrorPolicy} errorPolicy
+   * @returns {void}
+   */
+  set errorPolicy(errorPolicy) {
+    if (!(typeof errorPolicy === 'function' || ['collect', 'log', 'throw'].includes(errorPolicy))) {
+      throw new ValidationError('INVALID_ERROR_POLICY', { className: this.className, method: 'errorPolicy', value: errorPolicy });
+    }
+    this._errorPolicy = errorPolicy;
+  }
+
+  /**
+   * Os erros guardados com a política 'collect', até SSheet.clearErrors().
+   * @returns {Failure[]}
+   * @readonly
+   */
+  get errors() {
+    return this._errors;
+  }
+
+  /**
+   * @returns {GeneratedKey}
+   */
+  get generatedKey() {
+    return this._generatedKey;
+  }
+
+  /**
+   * Define a coluna cujo valor é gerado por SSheet.save() ao inserir uma linha sem ele.
+   * O valor gerado é copiado para o objeto ou Model salvo.
+   * @param {GeneratedKey} generatedKey
+   * @returns {void}
+   */
+  set generatedKey(generatedKey) {
+    this._generatedKey = generatedKey;
+  }
+
   /**
    * @returns {number}
    */
   get headerRow() {
-    if (!this._headerRow) this._headerRow = 1;
+    if (!this._headerRow) {
+      if (this.rangeName) this.resolveRangeName();
+      else this._headerRow = 1;
+    }
 
     return this._headerRow;
   }
@@ -257,8 +1035,42 @@ export default class SSheet {
    * @readonly
    */
   get headerRowData() {
-    const {data, headerRow} = this;
-    return data[headerRow-1] || this.getRowData(headerRow);
+    if (!this._headerRowData) {
+      const { data, headerRow, region: { headerRows, headerSeparator } } = this;
+
+      if (headerRows === 1) {
+        return data[headerRow-1] || this.getRowData(headerRow);
+      }
+
+      const firstHeaderRow = headerRow - headerRows + 1;
+      const rows = data[headerRow-1]
+        ? data.slice(firstHeaderRow - 1, headerRow)
+        : this.adapter.getValues(firstHeaderRow, this.region.startColumn, headerRows, this.lastColumn);
+
+      this._headerRowData = getHeaderParts(rows).map((parts) => parts.filter(Boolean).join(headerSeparator));
+    }
+    return this._headerRowData;
+  }
+
+  /**
+   * @returns {SecondaryIndex[]}
+   */
+  get indexes() {
+    return this._indexes;
+  }
+
+  /**
+   * Define os índices secundários. Assim como a chave primária, as colunas
+   * devem ser informadas pelo nome usado na planilha.
+   * @param {IndexDefinition[]} indexes
+   * @returns {void}
+   */
+  set indexes(indexes) {
+    this._indexes = indexes.map(({ columns, unique = false }) => {
+      const colNames = Array.isArray(columns) ? columns : [columns];
+      return { colNames, keysByRow: {}, map: {}, name: colNames.join('&'), unique };
+    });
+    this.rebuildIndexes();
   }
 
   /**
@@ -277,16 +1089,36 @@ export default class SSheet {
   }
 
   /**
-   * @returns {number}
+   * @returns {number} A quantidade de colunas da tabela.
    * @readonly
    */
   get lastColumn() {
     if (!this._lastColumn) {
-      this._lastColumn = this.sheet.getLastColumn();
+      const { endColumn, startColumn } = this.region;
+
+      this._lastColumn = endColumn
+        ? endColumn - startColumn + 1
+        : Math.max(this.adapter.getLastColumn() - startColumn + 1, 0);
     }
     return this._lastColumn;
   }
 
+  /**
+   * @returns {Locking}
+   */
+  get locking() {
+    return this._locking;
+  }
+
+  /**
+   * Ativa o bloqueio com o LockService nas gravações e exclusões.
+   * @param {Locking} locking
+   * @returns {void}
+   */
+  set locking(locking) {
+    this._locking = locking;
+  }
+
   get lastRefreshInCache(){
     return this._lastRefreshInCache;
   }
@@ -301,8 +1133,8 @@ export default class SSheet {
    */
   get lastRow() {
     if (!this._lastRow) {
-      SpreadsheetApp.flush();
-      this._lastRow = this.sheet.getLastRow();
+      this.adapter.flush();
+      this._lastRow = this.isRegionBounded() ? this.getLastRowInRegion() : this.adapter.getLastRow();
     }
     return this._lastRow;
   }
@@ -361,373 +1193,2193 @@ export default class SSheet {
   }
 
   /**
-   * @return {Sheet} A planilha associada ao objeto SSheet.
+   * @returns {Schema}
    */
-  get sheet() {
-    if (!this._sheet) {
-      this._sheet = SSheet.safelyGetSheetByName(
-        this.spreadsheet,
-        this.sheetName
-      );
-    }
-    return this._sheet;
+  get schema() {
+    return this._schema;
   }
 
   /**
-   * @returns {number}
-   * @readonly
+   * Define os tipos das colunas. Os valores são convertidos por SSheet.read()
+   * e validados por SSheet.save(). Assim como nos índices, as colunas devem
+   * ser informadas pelo nome usado na planilha.
+   * @param {Schema} schema
+   * @returns {void}
    */
-  get sheetId() {
-    return this.sheet.getSheetId();
+  set schema(schema) {
+    assertValidSchema(schema);
+    this._schema = schema;
+    //As chaves dos índices secundários dependem dos valores convertidos
+    this.rebuildIndexes();
   }
 
   /**
-   * @returns {string}
-   * @readonly
+   * @returns {SharedCache}
    */
-  get sheetName() {
-    return this._sheetName;
+  get sharedCache() {
+    return this._sharedCache;
   }
 
   /**
-   * @returns {Spreadsheet}
-   * @readonly
+   * Ativa o cache compartilhado entre execuções, no CacheService. SSheet.cacheAllData()
+   * passa a ler a cópia guardada por outra execução, que é invalidada por SSheet.save(),
+   * SSheet.delete() e SSheet.handleEditEvent(). Edições que não passam por eles, como
+   * as feitas à mão sem o gatilho onEdit, só são vistas quando a cópia expira.
+   * @param {SharedCache} sharedCache
+   * @returns {void}
    */
-  get spreadsheet() {
-    if (!this._spreadsheet) {
-      this._spreadsheet = SSheet.safelyOpenSpreadsheetById(this.ssId);
-    }
-    return this._spreadsheet;
+  set sharedCache(sharedCache) {
+    this._sharedCache = sharedCache;
   }
 
   /**
-   * @returns {string}
-   * @readonly
+   * @returns {DataRegion}
    */
-  get ssId() {
-    return this._ssId;
+  get region() {
+    if (this.rangeName && !this._region.startColumn) this.resolveRangeName();
+
+    return this._region;
   }
 
   /**
-   * @param {number} headerRow
-   * @returns {void}
-   * @throws {string} Se o parâmetro "headerRow" não for um número inteiro maior ou igual a 1.
+   * @returns {string} O intervalo nomeado ao qual o objeto SSheet está limitado, se houver.
+   * @readonly
    */
-  set headerRow(headerRow) {
-    if (!(headerRow && Number.isInteger(headerRow) && headerRow >= 1)) {
-      throw 'Ops! O parâmetro "headerRow" deve ser um número inteiro maior ou igual a 1.';
-    }
-    this._headerRow = headerRow;
+  get rangeName() {
+    return this._rangeName;
   }
 
   /**
-   * Inicia uma transação na planilha, para que as alterações sejam feitas em lote.
+   * Define a região da aba ocupada pela tabela, para tabelas que não começam na
+   * coluna A, que estão abaixo de um título ou que têm um cabeçalho com várias linhas.
+   * Com o "rangeName", apenas "headerRows" e "headerSeparator" são considerados.
+   * @param {DataRegion} region
    * @returns {void}
    */
-  beginTransaction() {
-    this._inTransaction = true;
+  set region({
+    endColumn,
+    endRow,
+    headerRange,
+    headerRow = 1,
+    headerRows = 1,
+    headerSeparator = '.',
+    startColumn = 1,
+  }) {
+    if (this.rangeName) {
+      this._region = { headerRows, headerSeparator };
+      this._headerRow = undefined;
+      this.refreshHeader();
+      return;
+    }
+
+    if (headerRange) {
+      const namedRange = this.adapter.getNamedRange && this.adapter.getNamedRange(headerRange);
+
+      if (!namedRange) {
+        throw new SSheetError('NAMED_RANGE_NOT_FOUND', {
+          className: this.className,
+          method: 'region',
+          rangeName: headerRange,
+          sheetName: this.sheetName,
+        });
+      }
+      headerRows = namedRange.numRows;
+      headerRow = namedRange.row + namedRange.numRows - 1;
+      startColumn = namedRange.column;
+      endColumn = namedRange.column + namedRange.numColumns - 1;
+    }
+
+    const isValid = [headerRows, startColumn].every((value) => Number.isInteger(value) && value >= 1)
+      && headerRow - headerRows + 1 >= 1
+      && (endColumn === undefined || (Number.isInteger(endColumn) && endColumn >= startColumn))
+      && (endRow === undefined || (Number.isInteger(endRow) && endRow > headerRow));
+
+    if (!isValid) {
+      throw new ValidationError('INVALID_REGION', {
+        className: this.className,
+        method: 'region',
+        value: { endColumn, endRow, headerRow, headerRows, startColumn },
+      });
+    }
+
+    this.headerRow = headerRow;
+    this._region = { endColumn, endRow, headerRange, headerRows, headerSeparator, startColumn };
+    this.refreshHeader();
   }
 
   /**
-   * @param {string} key
-   * @returns {any}
+   * @returns {Object<string, Relation>}
    */
-  get(key) {
-    return this.getRangeVal(this.rangesA1[key]);
+  get relations() {
+    return this._relations;
   }
 
   /**
-   * @typedef {Object} CallbackDTO
-   * @property {string} [key] - Chave opcional.
-  */
-
-  /**
+   * Define as relações com outros objetos SSheet, pelo nome usado na opção "include"
+   * de SSheet.read(). A chave primária referenciada deve ter uma única coluna.
+   * @param {Object<string, Relation>} relations
    * @returns {void}
    */
-  cacheAllData() {
-    this._lastRefreshInCache = new Date();
-    const {headerRow, lastColumn, lastRow, sheet} = this;
-    this._data = sheet.getRange(1,1,lastRow,lastColumn).getValues();
+  set relations(relations) {
+    Object.entries(relations || {}).forEach(([name, relation]) => {
+      const { foreignKey, onDelete, target, type } = relation || {};
 
-    for(let rowNumber = headerRow + 1; rowNumber <= lastRow; rowNumber++){
-      this.updateMapByPrimaryKey(rowNumber);
-    }
+      const isValid = ['belongsTo', 'hasMany'].includes(type)
+        && target instanceof SSheet
+        && !!foreignKey && typeof foreignKey === 'string'
+        && (onDelete === undefined || (type === 'hasMany' && ['cascade', 'restrict', 'setNull'].includes(onDelete)));
+
+      if (!isValid) {
+        throw new ValidationError('INVALID_RELATION', { className: this.className, method: 'relations', relation: name });
+      }
+
+      const referenced = type === 'belongsTo' ? target : this;
+
+      if (referenced.primaryKey.length !== 1) {
+        throw new ValidationError('RELATION_KEY_NOT_SINGLE', {
+          className: this.className,
+          method: 'relations',
+          relation: name,
+          sheetName: referenced.sheetName,
+        });
+      }
+    });
+    this._relations = { ...relations };
   }
 
   /**
-   * @param {{rowNumber:number, rowData:any[]}} param0
-   * @returns {void}
+   * @returns {RetryPolicy}
    */
-  cacheRowData({rowNumber, rowData}){
-    this.data[rowNumber-1] = rowData;
-    this.updateMapByPrimaryKey(rowNumber);
+  get retryPolicy() {
+    return this._retryPolicy;
   }
 
   /**
-   * @param {number} rowNumber
+   * Define as novas tentativas das chamadas ao Apps Script feitas por este
+   * objeto e pelo seu adaptador, se ele aceitar a opção "retryPolicy".
+   * @param {RetryPolicy} retryPolicy - undefined para usar a política definida com setRetryPolicy().
    * @returns {void}
    */
-  updateMapByPrimaryKey(rowNumber) {
-    const rowData = this.data[rowNumber-1];
+  set retryPolicy(retryPolicy) {
+    this._retryPolicy = retryPolicy;
 
-    const key = this.primaryKey
-      .reduce((key, colName, index) => {
-        const colNumber = this.getColNumber(colName);
-        const section = colNumber ? rowData[colNumber-1] : colName === 'rowNumber' ? rowNumber : '';
-        return section ? key + (index !== 0 ? '&' : '') + section : key;
-      }, '');
+    if (this._adapter && 'retryPolicy' in this._adapter) {
+      this._adapter.retryPolicy = retryPolicy;
+    }
+  }
 
-    this.mapByPrimaryKey[key] = rowNumber;
+  /**
+   * @return {Sheet} A planilha associada ao objeto SSheet. Disponível apenas com o AppsScriptAdapter.
+   */
+  get sheet() {
+    return this.adapter.sheet;
   }
 
-  clearCache() {
-    this._data = [];
-    this._lastColumn = undefined;
-    this._lastRow = undefined;
-    this._mapByPrimaryKey = {};
+  /**
+   * @returns {number}
+   * @readonly
+   */
+  get sheetId() {
+    const sheet = this.getAppsScriptSheet();
+    return this.callService('getSheetId', () => sheet.getSheetId());
   }
 
   /**
-   * @param {number} colNumber
    * @returns {string}
+   * @readonly
    */
-  getColNameByColNumber(colNumber) {
-    const { className, headerRowData } = this;
-
-    if (colNumber <= 0) {
-      throw (
-        `Ops! Erro ao chamar "${className}.getColNameByColNumber()":\n` +
-        'O parâmetro "colNumber" deve ser um número maior que zero.'
-      );
-    }
-    return headerRowData[colNumber - 1];
+  get sheetName() {
+    return this._sheetName;
   }
 
   /**
-   * @param {string} colName
-   * @returns {number}
+   * @returns {string} A coluna marcada por SSheet.delete() no lugar da exclusão da linha.
    */
-  getColNumber(colName) {
-    const { columnMap, headerRowData } = this;
-    colName = (columnMap && columnMap[colName]) || colName;
-    const index = headerRowData.indexOf(colName);
-    return index >= 0 ? index + 1 : undefined;
+  get softDeleteColumn() {
+    return this._softDeleteColumn;
   }
 
   /**
-   * @param {string} colName
-   * @returns {number}
+   * Com o "softDeleteColumn", as linhas marcadas deixam de ser retornadas por
+   * SSheet.read() e SSheet.aggregate(), a menos que a query use a própria coluna,
+   * ex.: sheet.read({ Excluido: true }), ou que a opção "withDeleted" seja true.
+   * @param {string} softDeleteColumn - O nome da coluna ou a chave do columnMap.
+   * @returns {void}
    */
-  getMaxInColumn(colName) {
-    const { headerRow, sheet, lastRow } = this;
-    const initialRow = headerRow + 1;
-    const column = this.getColNumber(colName);
-
-    return sheet
-      .getRange(initialRow, column, lastRow)
-      .getValues()
-      .sort((a, b) => b[0] - a[0])[0][0];
+  set softDeleteColumn(softDeleteColumn) {
+    this._softDeleteColumn = softDeleteColumn;
   }
 
   /**
-   * Cria um arquivo PDF com o conteúdo da planilha.
-   * @param {string} fileName O nome do arquivo que será criado
-   * @returns {File} O arquivo PDF criado
+   * @returns {Spreadsheet}
+   * @readonly
    */
-  getPDFFromSheet(fileName) {
-    const { sheet, ssId } = this;
-    return SSheet.getPDFFromSheet(fileName, sheet, ssId);
+  get spreadsheet() {
+    return this.adapter.spreadsheet;
   }
 
   /**
-   * @param {object} obj
    * @returns {string}
+   * @readonly
    */
-  getPrimaryMapKey(obj) {
-    const result = this.primaryKey
-      .map((colName) => obj[colName] || '')
-      .join('&');
-    return result;
+  get ssId() {
+    return this._ssId;
   }
 
   /**
-   * @param {string} rangeA1
-   * @returns {Range}
+   * @param {number} headerRow
+   * @returns {void}
+   * @throws {ValidationError} Se o parâmetro "headerRow" não for um número inteiro maior ou igual a 1.
    */
-  getRange(rangeA1) {
-    return this.sheet.getRange(rangeA1);
+  set headerRow(headerRow) {
+    if (!(headerRow && Number.isInteger(headerRow) && headerRow >= 1)) {
+      throw new ValidationError('INVALID_HEADER_ROW', { value: headerRow });
+    }
+    this._headerRow = headerRow;
+    this._headerRowData = undefined;
   }
 
   /**
-   * @param {string} rangeA1
-   * @returns {any}
+   * Agrupa as linhas que atendem à query e calcula métricas sobre os dados em cache.
+   * As colunas podem ser informadas pelo nome na planilha ou pela chave do columnMap.
+   * Ex.: sheet.aggregate({ match: { Status: 'Pago' }, groupBy: 'Cliente', metrics: { total: { $sum: 'Valor' } } })
+   * @param {object} params
+   * @param {Query} [params.match] - A query que filtra as linhas, como em SSheet.read().
+   * @param {string|string[]} [params.groupBy] - As colunas que formam os grupos.
+   * @param {Metrics} params.metrics - As métricas: $count, $sum, $avg, $min e $max.
+   * @param {boolean} [params.withDeleted] - Se true, inclui as linhas marcadas com o "softDeleteColumn".
+   * @returns {object[]} Um objeto por grupo, com os valores do "groupBy" e das métricas.
    */
-  getRangeVal(rangeA1) {
-    return this.getRange(rangeA1).getValue();
+  aggregate({ groupBy, match = {}, metrics, withDeleted = false } = {}) {
+    const query = withDeleted ? match || {} : this.excludeSoftDeleted(match || {});
+    const rowObjects = this.findRowObjects(query, null, Infinity);
+
+    return aggregateRows(rowObjects, { groupBy, metrics }, (rowObject, key) => {
+      return rowObject[key === 'rowNumber' ? key : this.getColName(key)];
+    });
   }
 
   /**
-   * @param {number} rowNumber
-   * @returns {any[]}
+   * Define as regras de validação de dados da planilha a partir do esquema, para
+   * que as edições feitas à mão passem pelas mesmas verificações de SSheet.save().
+   * As regras valem da primeira linha de dados até "endRow" ou até o fim da aba.
+   * A opção "required" não tem equivalente na planilha: use SSheet.editValidation.
+   * @param {{allowInvalid?: boolean}} [options] - Se "allowInvalid" for true, a planilha
+   * apenas marca os valores inválidos em vez de rejeitá-los.
+   * @returns {string[]} As colunas que receberam uma regra.
    */
-  getRowData(rowNumber) {
-    const { sheet, lastColumn, lastRow } = this;
+  applyDataValidation({ allowInvalid = false } = {}) {
+    const { adapter, className, headerRow, schema } = this;
+    const { endRow } = this.region;
 
-    if (
-      !(Number.isInteger(rowNumber) && rowNumber > 0 && rowNumber <= lastRow)
-    ) {
-      throw (
-        `Ops! Erro ao chamar "${this.className}.getRowData()":\n` +
-        'O parâmetro "rowNumber" deve ser um número maior que zero e menor ou igual à última linha da planilha.'
-      );
+    if (!adapter.setDataValidation) {
+      throw new SSheetError('DATA_VALIDATION_NOT_SUPPORTED', { className, method: 'applyDataValidation()' });
     }
 
-    return sheet.getRange(rowNumber, 1, 1, lastColumn).getValues()[0];
+    const firstRow = headerRow + 1;
+    const numRows = endRow ? endRow - headerRow : undefined;
+
+    if (numRows !== undefined && numRows < 1) return [];
+
+    return Object.entries(schema || {}).filter(([colName, column]) => {
+      const colNumber = this.getColNumber(colName);
+      if (!colNumber) return false;
+
+      const sheetColumn = this.getSheetColumn(colNumber);
+      const rule = getDataValidationRule(column, getA1Notation(firstRow, sheetColumn));
+      if (!rule) return false;
+
+      adapter.setDataValidation(firstRow, sheetColumn, numRows, 1, rule, { allowInvalid });
+      return true;
+    }).map(([colName]) => colName);
+  }
+
+  /**
+   * Preenche as células vazias de uma coluna com o valor retornado pela função.
+   * @param {string} colName - O nome da coluna na planilha.
+   * @param {(rowObject: RowObject) => any} fn
+   * @param {{overwrite?: boolean}} [options] - Se "overwrite" for true, preenche também as células já preenchidas.
+   * @returns {number} A quantidade de linhas alteradas.
+   */
+  backfill(colName, fn, { overwrite = false } = {}) {
+    this.assertColumnsExist('backfill', [colName]);
+
+    const rowObjects = this.findRowObjects({}, null, Infinity)
+      .filter((rowObject) => overwrite || isEmptyValue(rowObject[colName]))
+      .map((rowObject) => ({ rowNumber: rowObject.rowNumber, [colName]: fn(rowObject) }));
+
+    return this.saveRowObjects(rowObjects).updated.length;
+  }
+
+  /**
+   * Inicia uma transação na planilha, para que as alterações sejam feitas em lote.
+   * Até que SSheet.commit() seja chamado, SSheet.save() altera apenas o cache.
+   * @returns {void}
+   */
+  beginTransaction() {
+    if (this.isInTransaction()) {
+      throw new SSheetError('ALREADY_IN_TRANSACTION', { className: this.className, method: 'beginTransaction()' });
+    }
+
+    this.refreshStaleCache();
+
+    //IMPORTANTE! Durante a transação, as linhas inseridas existem apenas
+    //no cache. Por isso, ele precisa estar completo antes de começarmos.
+    if (!this.isCacheCompleted()) {
+      this.cacheAllData();
+    }
+
+    this._transaction = {
+      audit: [],
+      backup: {},
+      inserted: [],
+      lastRow: this.lastRow,
+      maxCol: undefined,
+      minCol: undefined,
+      rowsToUpdate: {},
+    };
+    this._inTransaction = true;
+  }
+
+  /**
+   * Grava na planilha todas as alterações feitas desde SSheet.beginTransaction().
+   * @returns {void}
+   */
+  commit() {
+    if (!this.isInTransaction()) {
+      throw new SSheetError('NO_TRANSACTION', { className: this.className, method: 'commit()' });
+    }
+
+    if (this.locking && !this._lock) {
+      return this.withLock(() => this.commit());
+    }
+
+    const { data, entity, _transaction: { audit, inserted, lastRow, maxCol, minCol, rowsToUpdate } } = this;
+
+    const valuesToAppend = data.slice(lastRow);
+
+    /** @type {Object<string,any[]>} */
+    const mapOfRowsToUpdate = Object.keys(rowsToUpdate)
+      .reduce((map, rowNumber) => {
+        map[rowNumber] = data[parseInt(rowNumber)-1];
+        return map;
+      }, {});
+
+    try {
+      const firstAppendedRow = this.writeChanges({
+        mapOfRowsToUpdate,
+        maxCol,
+        minCol,
+        mustSetAllValuesAtOnce: Object.keys(mapOfRowsToUpdate).length > 20,
+        valuesToAppend,
+      });
+
+      this.invalidateSharedCache();
+
+      //Se outra execução inseriu linhas durante a transação, os números
+      //das linhas informados por SSheet.save() precisam ser corrigidos
+      const offset = firstAppendedRow ? firstAppendedRow - (lastRow + 1) : 0;
+
+      if (offset) {
+        inserted.forEach((savedRecord) => {
+          savedRecord.rowNumber += offset;
+
+          if (entity && savedRecord.record instanceof entity) {
+            savedRecord.record.rowNumber = savedRecord.rowNumber;
+          }
+        });
+      }
+
+      this.writeAuditEntries(audit);
+    } finally {
+      this._inTransaction = false;
+      this._transaction = undefined;
+      this.clearCache();
+    }
+  }
+
+  /**
+   * Descarta todas as alterações feitas desde SSheet.beginTransaction(),
+   * restaurando os dados em cache.
+   * @returns {void}
+   */
+  rollback() {
+    if (!this.isInTransaction()) {
+      throw new SSheetError('NO_TRANSACTION', { className: this.className, method: 'rollback()' });
+    }
+
+    const { backup, lastRow } = this._transaction;
+
+    //Remove as linhas inseridas durante a transação
+    this._data.length = lastRow;
+    this._lastRow = lastRow;
+
+    Object.entries(backup).forEach(([rowNumber, rowData]) => {
+      this._data[parseInt(rowNumber)-1] = rowData;
+    });
+
+    this.rebuildIndexes();
+
+    this._inTransaction = false;
+    this._transaction = undefined;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {any}
+   */
+  get(key) {
+    return this.getRangeVal(this.rangesA1[key]);
+  }
+
+  /**
+   * @typedef {Object} CallbackDTO
+   * @property {string} [key] - Chave opcional.
+  */
+
+  /**
+   * @returns {void}
+   */
+  cacheAllData() {
+    this._lastRefreshInCache = new Date();
+
+    //Com o bloqueio, as linhas são sempre relidas da planilha
+    const sharedKey = this.sharedCache && !this._lock ? this.getSharedCacheKey() : undefined;
+    const sharedVersion = sharedKey && getSharedVersion(this.sharedCache, sharedKey);
+    const snapshot = sharedKey && readSnapshot(this.sharedCache, sharedKey, sharedVersion);
+
+    if (snapshot) {
+      this._data = snapshot.data;
+      this._lastColumn = snapshot.lastColumn;
+      this._lastRow = snapshot.lastRow;
+      this._headerRowData = undefined;
+
+      this.rebuildIndexes();
+      this.updateFingerprint();
+      return;
+    }
+
+    const {adapter, headerRow, lastColumn, lastRow, region: { headerRows, startColumn }} = this;
+
+    //Numa região limitada, as linhas acima do cabeçalho não são lidas
+    const firstRow = this.isRegionBounded() ? headerRow - headerRows + 1 : 1;
+
+    this._data = [
+      ...Array.from({ length: firstRow - 1 }, () => []),
+      ...(lastRow >= firstRow ? adapter.getValues(firstRow, startColumn, lastRow - firstRow + 1, lastColumn) : []),
+    ];
+    this._headerRowData = undefined;
+
+    this.rebuildIndexes();
+    this.updateFingerprint();
+
+    if (sharedKey) {
+      writeSnapshot(this.sharedCache, sharedKey, sharedVersion, { data: this._data, lastColumn, lastRow });
+    }
+  }
+
+  /**
+   * @param {{rowNumber:number, rowData:any[]}} param0
+   * @returns {void}
+   */
+  cacheRowData({rowNumber, rowData}){
+    this.data[rowNumber-1] = rowData;
+    this.updateMapByPrimaryKey(rowNumber);
+    this.updateSecondaryIndexes(rowNumber);
+  }
+
+  /**
+   * @param {number} rowNumber
+   * @returns {void}
+   */
+  updateMapByPrimaryKey(rowNumber) {
+    const rowData = this.data[rowNumber-1];
+
+    const key = this.primaryKey
+      .reduce((key, colName, index) => {
+        const colNumber = this.getColNumber(colName);
+        const section = colNumber ? rowData[colNumber-1] : colName === 'rowNumber' ? rowNumber : '';
+        return section ? key + (index !== 0 ? '&' : '') + section : key;
+      }, '');
+
+    this.mapByPrimaryKey[key] = rowNumber;
+  }
+
+  /**
+   * Recria o mapa de chaves primárias e os índices secundários a partir dos dados em cache.
+   * @returns {void}
+   */
+  rebuildIndexes() {
+    const { data, headerRow } = this;
+    this._mapByPrimaryKey = {};
+
+    this._indexes.forEach((index) => {
+      index.keysByRow = {};
+      index.map = {};
+    });
+
+    for(let rowNumber = headerRow + 1; rowNumber <= data.length; rowNumber++){
+      if(data[rowNumber-1]){
+        this.updateMapByPrimaryKey(rowNumber);
+        this.updateSecondaryIndexes(rowNumber);
+      }
+    }
+  }
+
+  /**
+   * @param {number} rowNumber
+   * @returns {void}
+   */
+  updateSecondaryIndexes(rowNumber) {
+    const rowData = this.data[rowNumber-1];
+
+    this._indexes.forEach((index) => {
+      const { keysByRow, map } = index;
+      const oldKey = keysByRow[rowNumber];
+
+      if (oldKey !== undefined) {
+        map[oldKey] = map[oldKey].filter((value) => value !== rowNumber);
+        if (!map[oldKey].length) delete map[oldKey];
+        delete keysByRow[rowNumber];
+      }
+
+      const key = rowData && this.getIndexKey(index, rowData);
+
+      if (key !== undefined) {
+        (map[key] = map[key] || []).push(rowNumber);
+        keysByRow[rowNumber] = key;
+      }
+    });
+  }
+
+  /**
+   * Retorna a chave da linha no índice, ou undefined se alguma coluna do índice estiver vazia.
+   * @param {SecondaryIndex} index
+   * @param {any[]} rowData
+   * @returns {string|undefined}
+   */
+  getIndexKey(index, rowData) {
+    const { schema = {} } = this;
+
+    const parts = index.colNames.map((colName) => {
+      const colNumber = this.getColNumber(colName);
+      return getIndexKeyPart(colNumber ? rowData[colNumber-1] : undefined, schema[colName]);
+    });
+    return parts.includes(undefined) ? undefined : parts.join('&');
+  }
+
+  /**
+   * Procura um índice secundário cujas colunas estejam todas na query como
+   * igualdade simples, preferindo os índices únicos e com mais colunas.
+   * @param {Query} query - A query, já com os nomes das colunas.
+   * @returns {{index: SecondaryIndex, key: string}|undefined}
+   */
+  findIndexForQuery(query) {
+    const { schema = {} } = this;
+
+    return this._indexes
+      .filter(({ colNames }) => colNames.every((colName) => {
+        const value = query[colName];
+        //Strings que representam datas são comparadas com células do tipo Date
+        //por SSheet.read(), o que não é possível pela chave do índice
+        return isEqualityCondition(value) && !isDateLikeString(value);
+      }))
+      .sort((a, b) => Number(b.unique) - Number(a.unique) || b.colNames.length - a.colNames.length)
+      .map((index) => ({
+        index,
+        key: index.colNames.map((colName) => getIndexKeyPart(query[colName], schema[colName])).join('&'),
+      }))[0];
+  }
+
+  /**
+   * Lança um erro se a linha violar algum índice único.
+   * @param {any[]} rowData
+   * @param {number} [rowNumber] - O número da linha, se ela já existir na planilha.
+   * @param {Object<string, Object<string, boolean>>} [pendingKeys] - As chaves das linhas que serão inseridas no mesmo lote.
+   * @returns {void}
+   */
+  assertUniqueIndexes(rowData, rowNumber = undefined, pendingKeys = {}) {
+    this._indexes
+      .filter(({ unique }) => unique)
+      .forEach((index) => {
+        const key = this.getIndexKey(index, rowData);
+
+        if (key === undefined) return;
+
+        const pending = pendingKeys[index.name] = pendingKeys[index.name] || {};
+        const rowNumbers = index.map[key] || [];
+
+        if (pending[key] || rowNumbers.some((value) => value !== rowNumber)) {
+          const values = index.colNames.map((colName) => rowData[this.getColNumber(colName)-1]);
+          throw new PrimaryKeyViolationError('DUPLICATE_KEY', {
+            className: this.className,
+            index: index.name,
+            key,
+            method: 'save()',
+            rowNumber,
+            values,
+          });
+        }
+
+        if (!rowNumber) pending[key] = true;
+      });
+  }
+
+  /**
+   * Executa uma chamada ao Apps Script com as novas tentativas de SSheet.retryPolicy.
+   * @template T
+   * @param {string} operation
+   * @param {() => T} fn
+   * @returns {T}
+   * @private
+   */
+  callService(operation, fn) {
+    return withRetry(operation, fn, this._retryPolicy);
+  }
+
+  clearCache() {
+    this._data = [];
+    this._headerRowData = undefined;
+
+    //O intervalo nomeado pode ter sido alterado por outro usuário ou execução
+    if (this.rangeName) {
+      this._region.startColumn = undefined;
+      this._headerRow = undefined;
+    }
+
+    this._fingerprint = undefined;
+    this._lastColumn = undefined;
+    this._lastRow = undefined;
+    this.rebuildIndexes();
+  }
+
+  /**
+   * Descarta os erros guardados com a política 'collect'.
+   * @returns {Failure[]} Os erros descartados.
+   */
+  clearErrors() {
+    const errors = this._errors;
+    this._errors = [];
+    return errors;
+  }
+
+  /**
+   * Exclui as linhas encontradas pela query, da mesma forma que SSheet.read(),
+   * ou as linhas dos registros informados (pelo rowNumber ou pela chave primária).
+   * Se "softDeleteColumn" estiver definido, as linhas não são excluídas: a coluna
+   * é marcada com o valor true.
+   * @param {object|Model|Model[]|object[]} target - Uma query ou um ou mais registros.
+   * @returns {Model[]|RowObject[]} Os registros excluídos.
+   */
+  delete(target) {
+    if (this.locking && !this._lock && !this.isInTransaction()) {
+      return this.withLock(() => this.delete(target));
+    }
+
+    const { className, columnMap, entity, headerRow, primaryKey } = this;
+
+    //Com o bloqueio, as linhas são relidas para que não sejam excluídas
+    //linhas que mudaram de posição desde a última leitura
+    if (this._lock || (!this.isInTransaction() && this.hasRangeMoved())) {
+      this.clearCache();
+    }
+
+    const targetIsRecords = Array.isArray(target) || !!(entity && target instanceof entity);
+
+    if (!target || (!targetIsRecords && !Object.keys(target).length)) {
+      throw new ValidationError('INVALID_DELETE_TARGET', { className, method: 'delete()', value: target });
+    }
+
+    /**
+     * @param {object|Model} record
+     * @returns {Model[]|RowObject[]}
+     */
+    const findRecord = (record) => {
+      const { rowNumber } = record;
+
+      if (rowNumber) return this.read(null, rowNumber);
+
+      const keys = columnMap
+        ? Object.keys(columnMap).filter((key) => primaryKey.includes(columnMap[key]))
+        : primaryKey;
+
+      const query = keys.reduce((obj, key) => {
+        if (record[key] !== undefined) obj[key] = record[key];
+        return obj;
+      }, {});
+
+      if (Object.keys(query).length !== primaryKey.length) {
+        throw new ValidationError('KEY_REQUIRED_TO_DELETE', { className, key: query, method: 'delete()' });
+      }
+      return this.read(query, null, 1);
+    };
+
+    const found = targetIsRecords
+      ? (Array.isArray(target) ? target : [target]).flatMap(findRecord)
+      : this.read(target);
+
+    /** @type {Object<number, Model|RowObject>} */
+    const mapByRowNumber = found.reduce((map, record) => {
+      if (record.rowNumber > headerRow) map[record.rowNumber] = record;
+      return map;
+    }, {});
+
+    const rowNumbers = Object.keys(mapByRowNumber)
+      .map((key) => parseInt(key))
+      .sort((a, b) => b - a);
+
+    if (!rowNumbers.length) return [];
+
+    this.removeRows(rowNumbers);
+
+    return rowNumbers.reverse().map((rowNumber) => mapByRowNumber[rowNumber]);
+  }
+
+  /**
+   * Exclui as linhas, ou as marca na coluna "softDeleteColumn", depois de aplicar a
+   * opção "onDelete" das relações. Se a exclusão falhar, as alterações feitas nos
+   * registros relacionados são desfeitas.
+   * @param {number[]} rowNumbers - Os números das linhas, em ordem decrescente.
+   * @returns {() => void} Uma função que desfaz a exclusão. As linhas excluídas são
+   * reinseridas no fim da tabela.
+   * @private
+   */
+  removeRows(rowNumbers) {
+    const { className, softDeleteColumn } = this;
+
+    if (!softDeleteColumn && this.isInTransaction()) {
+      throw new SSheetError('DELETE_IN_TRANSACTION', { className, method: 'delete()' });
+    }
+
+    //Os valores gravados na planilha, para que a exclusão possa ser desfeita
+    const rowObjects = rowNumbers.map((rowNumber) => {
+      let rowData = this.data[rowNumber-1];
+
+      if (!rowData) {
+        rowData = this.getRowData(rowNumber);
+        this.cacheRowData({ rowNumber, rowData });
+      }
+      return this.headerRowData.reduce((obj, colName, index) => {
+        obj[colName] = rowData[index];
+        return obj;
+      }, { rowNumber });
+    });
+
+    const undoDeleteRules = this.applyDeleteRules(rowNumbers);
+
+    try {
+      if (softDeleteColumn) {
+        const colName = this.getColName(softDeleteColumn);
+        this.saveRowObjects(rowNumbers.map((rowNumber) => ({ rowNumber, [colName]: true })));
+      } else {
+        //IMPORTANTE! As linhas são excluídas de baixo para cima para
+        //que a exclusão de um bloco não altere a posição dos próximos
+        const { region } = this;
+
+        groupConsecutiveNumbers(rowNumbers).forEach((group) => {
+          const firstRow = group[group.length - 1];
+
+          //Numa região limitada, apenas as células da tabela são excluídas,
+          //preservando o que estiver ao lado dela
+          if (this.isRegionBounded()) {
+            this.adapter.deleteCells(firstRow, region.startColumn, group.length, this.lastColumn);
+            if (region.endRow) region.endRow -= group.length;
+          } else {
+            this.adapter.deleteRows(firstRow, group.length);
+          }
+
+          if (this._data.length >= firstRow) {
+            this._data.splice(firstRow - 1, group.length);
+          }
+          if (this._lastRow) {
+            this._lastRow -= group.length;
+          }
+        });
+
+        this.rebuildIndexes();
+        this.updateFingerprint();
+        this.invalidateSharedCache();
+
+        //As linhas abaixo das excluídas mudaram de posição
+        this._snapshots = {};
+      }
+    } catch (e) {
+      undoDeleteRules();
+      throw e;
+    }
+
+    return () => {
+      if (softDeleteColumn) {
+        const colName = this.getColName(softDeleteColumn);
+        this.saveRowObjects(rowObjects.map(({ rowNumber, [colName]: value }) => ({ rowNumber, [colName]: value })));
+      } else {
+        this.saveRowObjects(rowObjects.reverse().map(({ rowNumber, ...rowObject }) => rowObject));
+      }
+      undoDeleteRules();
+    };
+  }
+
+  /**
+   * Aplica a opção "onDelete" das relações "hasMany" aos registros relacionados
+   * às linhas que serão excluídas. Nenhum registro é alterado se alguma relação
+   * com "restrict" tiver registros relacionados.
+   * @param {number[]} rowNumbers
+   * @returns {() => void} Uma função que desfaz as alterações nos registros relacionados.
+   * @private
+   */
+  applyDeleteRules(rowNumbers) {
+    const rules = Object.entries(this.relations)
+      .filter(([, { onDelete, type }]) => type === 'hasMany' && onDelete);
+
+    /** @type {(() => void)[]} */
+    const undoFns = [];
+    const undo = () => undoFns.reverse().forEach((fn) => fn());
+
+    if (!rules.length) return undo;
+
+    const [keyColName] = this.primaryKey;
+
+    const keys = rowNumbers
+      .map((rowNumber) => this.getRowObjectByRowData({ rowNumber, rowData: this.data[rowNumber-1] })[keyColName])
+      .filter((key) => !isEmptyValue(key));
+
+    if (!keys.length) return undo;
+
+    const related = rules.map(([name, { foreignKey, onDelete, target }]) => {
+      const colName = target.getColName(foreignKey);
+      const rowObjects = this.withSharedLock(target, () => {
+        return target.findRowObjects({ [colName]: { $in: keys } }, null, Infinity);
+      });
+      return { colName, name, onDelete, rowObjects, target };
+    });
+
+    related.forEach(({ name, onDelete, rowObjects, target }) => {
+      if (onDelete === 'restrict' && rowObjects.length) {
+        throw new ValidationError('RELATED_RECORDS_EXIST', {
+          className: this.className,
+          count: rowObjects.length,
+          key: keys,
+          method: 'delete()',
+          relation: name,
+          sheetName: target.sheetName,
+        });
+      }
+    });
+
+    try {
+      related.forEach(({ colName, onDelete, rowObjects, target }) => {
+        if (!rowObjects.length || onDelete === 'restrict') return;
+
+        this.withSharedLock(target, () => {
+          if (onDelete === 'cascade') {
+            const undoRemove = target.removeRows(rowObjects.map(({ rowNumber }) => rowNumber).sort((a, b) => b - a));
+            undoFns.push(() => this.withSharedLock(target, undoRemove));
+          } else {
+            target.saveRowObjects(rowObjects.map(({ rowNumber }) => ({ rowNumber, [colName]: '' })));
+            undoFns.push(() => this.withSharedLock(target, () => {
+              target.saveRowObjects(rowObjects.map(({ rowNumber, [colName]: value }) => ({ rowNumber, [colName]: value })));
+            }));
+          }
+        });
+      });
+    } catch (e) {
+      undo();
+      throw e;
+    }
+
+    return undo;
+  }
+
+  /**
+   * Executa a função em outro objeto SSheet com o bloqueio já obtido por este,
+   * já que o bloqueio do LockService seria liberado pela chamada aninhada.
+   * @template T
+   * @param {SSheet} target
+   * @param {() => T} fn
+   * @returns {T}
+   * @private
+   */
+  withSharedLock(target, fn) {
+    if (!this._lock || target._lock) return fn();
+
+    target._lock = this._lock;
+    try {
+      //As linhas podem ter mudado de posição antes de obtermos o bloqueio
+      if (!target.isInTransaction()) target.clearCache();
+      return fn();
+    } finally {
+      target.adapter.flush();
+      target._lock = undefined;
+    }
+  }
+
+  /**
+   * Garante que o cabeçalho tenha as colunas do esquema. Uma coluna ausente é
+   * renomeada a partir de um dos seus "aliases", se houver, ou criada no fim do
+   * cabeçalho. As demais colunas do cabeçalho são informadas como inesperadas.
+   * @param {Schema|string[]} [schema] - Padrão: SSheet.schema.
+   * @returns {ColumnsReport}
+   */
+  ensureColumns(schema = this.schema) {
+    if (this.isInTransaction()) {
+      throw new SSheetError('HEADER_CHANGE_IN_TRANSACTION', { className: this.className, method: 'ensureColumns()' });
+    }
+
+    const columns = Array.isArray(schema)
+      ? schema.reduce((obj, colName) => ({ ...obj, [colName]: {} }), {})
+      : schema || {};
+
+    const headerRowData = this.lastRow >= this.headerRow ? [...this.headerRowData] : [];
+
+    //As novas colunas são criadas depois da última coluna com nome
+    while (headerRowData.length && headerRowData[headerRowData.length - 1] === '') headerRowData.pop();
+
+    /** @type {ColumnsReport} */
+    const report = { added: [], renamed: [], unexpected: [] };
+
+    Object.entries(columns).forEach(([colName, { aliases = [] }]) => {
+      if (headerRowData.includes(colName)) return;
+
+      const alias = aliases.find((alias) => headerRowData.includes(alias));
+
+      if (alias) {
+        headerRowData[headerRowData.indexOf(alias)] = colName;
+        this.setHeaderCell('ensureColumns', headerRowData.indexOf(colName) + 1, colName);
+        report.renamed.push({ from: alias, to: colName });
+      } else {
+        headerRowData.push(colName);
+        this.setHeaderCell('ensureColumns', headerRowData.length, colName);
+        report.added.push(colName);
+      }
+    });
+
+    report.unexpected = headerRowData.filter((colName) => colName !== '' && !columns[colName]);
+
+    if (report.added.length || report.renamed.length) {
+      this.invalidateSharedCache();
+      this.refreshHeader();
+    }
+
+    return report;
+  }
+
+  /**
+   * @param {string} methodName
+   * @param {string[]} colNames - Os nomes das colunas na planilha.
+   * @returns {void}
+   * @private
+   */
+  assertColumnsExist(methodName, colNames) {
+    const headerRowData = this.lastRow >= this.headerRow ? this.headerRowData : [];
+    const missing = colNames.filter((colName) => !headerRowData.includes(colName));
+
+    if (missing.length) {
+      throw new ValidationError('MISSING_COLUMNS', { className: this.className, columns: missing, method: `${methodName}()` });
+    }
+  }
+
+  /**
+   * Insere células abaixo do intervalo nomeado, deslocando para baixo o que estiver
+   * abaixo dele, e expande o intervalo para incluí-las.
+   * @param {number} howMany
+   * @returns {void}
+   * @private
+   */
+  expandNamedRange(howMany) {
+    const { adapter, className, rangeName, region } = this;
+
+    if (!adapter.insertCells || !adapter.setNamedRange) {
+      throw new SSheetError('NAMED_RANGE_NOT_EXPANDABLE', { className, method: 'save()', rangeName });
+    }
+
+    const namedRange = adapter.getNamedRange(rangeName);
+
+    adapter.insertCells(region.endRow + 1, namedRange.column, howMany, namedRange.numColumns);
+    adapter.setNamedRange(rangeName, { ...namedRange, numRows: namedRange.numRows + howMany });
+
+    region.endRow += howMany;
+  }
+
+  /**
+   * @param {number} colNumber
+   * @returns {string}
+   */
+  getColNameByColNumber(colNumber) {
+    const { className, headerRowData } = this;
+
+    if (colNumber <= 0) {
+      throw new ValidationError('INVALID_COL_NUMBER', { className, method: 'getColNameByColNumber()', value: colNumber });
+    }
+    return headerRowData[colNumber - 1];
+  }
+
+  /**
+   * Retorna o nome da coluna na planilha a partir de uma chave do columnMap.
+   * @param {string} key - A chave do columnMap ou o próprio nome da coluna.
+   * @returns {string}
+   */
+  getColName(key) {
+    const { columnMap } = this;
+    return (columnMap && columnMap[key]) || key;
+  }
+
+  /**
+   * @param {string} colName
+   * @returns {number}
+   */
+  getColNumber(colName) {
+    const { headerRowData } = this;
+    const index = headerRowData.indexOf(this.getColName(colName));
+    return index >= 0 ? index + 1 : undefined;
+  }
+
+  /**
+   * @returns {number} A última linha com conteúdo nas colunas da região, limitada a "endRow".
+   * @private
+   */
+  getLastRowInRegion() {
+    const { adapter, headerRow, lastColumn, region: { endRow, startColumn } } = this;
+    const lastRow = endRow ? Math.min(adapter.getLastRow(), endRow) : adapter.getLastRow();
+
+    if (lastRow <= headerRow || !lastColumn) return Math.min(lastRow, headerRow);
+
+    const values = adapter.getValues(headerRow + 1, startColumn, lastRow - headerRow, lastColumn);
+
+    for (let index = values.length - 1; index >= 0; index--) {
+      if (values[index].some((value) => value !== '')) return headerRow + index + 1;
+    }
+    return headerRow;
+  }
+
+  /**
+   * @param {string} colName
+   * @returns {number}
+   */
+  getMaxInColumn(colName) {
+    const { adapter, headerRow, lastRow } = this;
+    const initialRow = headerRow + 1;
+    const column = this.getColNumber(colName);
+
+    if (lastRow < initialRow) return undefined;
+
+    return adapter
+      .getValues(initialRow, this.getSheetColumn(column), lastRow - headerRow, 1)
+      .reduce((max, [value]) => {
+        return value !== '' && (max === undefined || compareForSort(value, max) > 0) ? value : max;
+      }, undefined);
+  }
+
+  /**
+   * Cria um arquivo PDF com o conteúdo da planilha.
+   * @param {string} fileName O nome do arquivo que será criado
+   * @returns {File} O arquivo PDF criado
+   */
+  getPDFFromSheet(fileName) {
+    const { adapter, className } = this;
+
+    if (!adapter.exportPdf) {
+      throw new SSheetError('PDF_NOT_SUPPORTED', { className, method: 'getPDFFromSheet()' });
+    }
+    return adapter.exportPdf(fileName);
+  }
+
+  /**
+   * @returns {string} O prefixo das chaves no cache compartilhado.
+   * @private
+   */
+  getSharedCacheKey() {
+    if (this.sharedCache.key) return this.sharedCache.key;
+
+    const { rangeName, sheetName, ssId } = this;
+
+    if (rangeName) return ['ssheet', ssId, sheetName, rangeName].join(':');
+
+    //Objetos SSheet com regiões diferentes na mesma aba não compartilham a cópia
+    const { endColumn = '', startColumn } = this.region;
+    return ['ssheet', ssId, sheetName, this.headerRow, startColumn, endColumn].join(':');
+  }
+
+  /**
+   * @param {object} obj
+   * @returns {string}
+   */
+  getPrimaryMapKey(obj) {
+    const result = this.primaryKey
+      .map((colName) => obj[colName] || '')
+      .join('&');
+    return result;
+  }
+
+  /**
+   * Busca a linha pela chave primária, de uma única coluna, com todos os dados em cache.
+   * @param {any} key
+   * @returns {number|undefined} undefined se não houver uma linha com a chave.
+   * @private
+   */
+  findRowNumberByKey(key) {
+    if (isEmptyValue(key)) return undefined;
+
+    this.refreshStaleCache();
+
+    if (!this.isCacheCompleted()) {
+      this.cacheAllData();
+    }
+    return this.mapByPrimaryKey[this.getPrimaryMapKey({ [this.primaryKey[0]]: key })];
+  }
+
+  /**
+   * @param {string} rangeA1
+   * @returns {Range}
+   */
+  getRange(rangeA1) {
+    return this.getAppsScriptSheet('getRange()').getRange(rangeA1);
+  }
+
+  /**
+   * @param {string} [method] - O método que precisa da aba, para a mensagem de erro.
+   * @returns {Sheet}
+   * @throws {SSheetError} Se o adaptador não der acesso à aba do Apps Script.
+   * @private
+   */
+  getAppsScriptSheet(method = undefined) {
+    const { sheet } = this;
+
+    if (!sheet) {
+      throw new SSheetError('SHEET_NOT_SUPPORTED', { className: this.className, method });
+    }
+    return sheet;
+  }
+
+  /**
+   * @param {string} rangeA1
+   * @returns {any}
+   */
+  getRangeVal(rangeA1) {
+    return this.callService('getValue', () => this.getRange(rangeA1).getValue());
+  }
+
+  /**
+   * @param {number} rowNumber
+   * @returns {any[]}
+   */
+  getRowData(rowNumber) {
+    const { adapter, lastColumn, lastRow } = this;
+
+    if (
+      !(Number.isInteger(rowNumber) && rowNumber > 0 && rowNumber <= lastRow)
+    ) {
+      throw new RowNotFoundError('ROW_OUT_OF_RANGE', { className: this.className, method: 'getRowData()', rowNumber });
+    }
+
+    return adapter.getValues(rowNumber, this.region.startColumn, 1, lastColumn)[0];
+  }
+
+  /**
+   * @param {number} colNumber - O número da coluna na região.
+   * @returns {number} O número da coluna na aba.
+   * @private
+   */
+  getSheetColumn(colNumber) {
+    return colNumber + this.region.startColumn - 1;
+  }
+
+  /**
+   * @param {RowObject} rowObject
+   */
+  getRowDataByRowObject(rowObject) {
+    return this.headerRowData.map((colName) => {
+      let value = rowObject[colName];
+      return value !== undefined ? value : '';
+    });
+  }
+
+  /**
+   * @param {{rowNumber:number, rowData:any[]}} object
+   * @returns {RowObject}
+   */
+  getRowObjectByRowData({rowNumber, rowData}) {
+    if (Array.isArray(rowData)) {
+      const { schema = {} } = this;
+
+      return this.headerRowData.reduce(
+        (obj, colName, index) => {
+          const value = rowData[index];
+          obj[colName] = value === '' ? undefined : schema[colName] ? coerceValue(value, schema[colName]) : value;
+
+          return obj;
+        },
+        { rowNumber }
+      );
+    }
+    throw new ValidationError('INVALID_ROW_DATA', { rowNumber, value: rowData });
+  }
+
+  /**
+   * @param {Range} range
+   * @returns {any[][]}
+   */
+  getFormulas(range) {
+    return mergeThreeDimensionalArrays(
+      range.getFormulas(),
+      range.getFormulasR1C1()
+    );
+  }
+
+  /**
+   * Trata o evento do gatilho onChange, chamando os handlers de SSheet.onInsertRow()
+   * e SSheet.onDeleteRow(). As linhas inseridas são as selecionadas na aba ativa.
+   * As linhas excluídas são encontradas comparando o cache com a aba, pela chave
+   * primária. Como o gatilho é executado depois da exclusão, é necessário o cache
+   * compartilhado (SSheet.sharedCache) ou um cache completo carregado antes dela;
+   * sem eles, as linhas excluídas são as selecionadas, sem o "record".
+   * @param {object} e
+   * @returns {FailureReport} Os erros lançados pelos handlers, tratados conforme SSheet.errorPolicy.
+   */
+  handleChangeEvent(e) {
+    const { changeType, source: spreadsheet } = e;
+
+    const sheet = spreadsheet.getActiveSheet();
+    const sheetName = sheet.getName();
+    const ssId = spreadsheet.getId();
+
+    const failures = [];
+
+    if (ssId !== this.ssId || sheetName !== this.sheetName) return { failures, ok: true };
+
+    const context = { sheet, sheetName, spreadsheet, ssId };
+    const handlers = changeType === 'INSERT_ROW' ? this._handlers.insertRow
+      : changeType === 'REMOVE_ROW' ? this._handlers.deleteRow
+      : [];
+
+    //A cópia anterior à alteração é usada para encontrar as linhas excluídas.
+    //Ela não pode ser lida da aba, que já não tem as linhas
+    const previousData = handlers.length && changeType === 'REMOVE_ROW' ? this.getDataBeforeChange() : [];
+
+    this.invalidateSharedCache();
+    this.clearCache();
+
+    if (!handlers.length) return { failures, ok: true };
+
+    const events = changeType === 'REMOVE_ROW'
+      ? this.getDeletedRowEvents(previousData, context)
+      : [];
+
+    if (!events.length) {
+      const range = spreadsheet.getActiveRange();
+      const firstRow = Math.max(range.getRow(), this.headerRow + 1);
+      const lastRow = range.getRow() + range.getNumRows() - 1;
+
+      for (let rowNumber = firstRow; rowNumber <= lastRow; rowNumber++) {
+        events.push({ ...context, rowNumber });
+      }
+    }
+
+    events.forEach((event) => {
+      handlers.forEach((handler) => {
+        try {
+          handler(event);
+        } catch (error) {
+          const range = getA1Notation(event.rowNumber, this.region.startColumn);
+          failures.push(this.handleFailure({ error, method: 'handleChangeEvent()', range }));
+        }
+      });
+    });
+    return { failures, ok: !failures.length };
+  }
+
+  /**
+   * @returns {any[][]} A cópia completa das linhas no cache desta execução ou no
+   * compartilhado, sem ler a aba. Vazio se não houver.
+   * @private
+   */
+  getDataBeforeChange() {
+    if (this.isCacheCompleted()) return this.data;
+    if (!this.sharedCache) return [];
+
+    const sharedKey = this.getSharedCacheKey();
+    const snapshot = readSnapshot(this.sharedCache, sharedKey, getSharedVersion(this.sharedCache, sharedKey));
+
+    return snapshot ? snapshot.data : [];
+  }
+
+  /**
+   * Trata o evento do gatilho onEdit, chamando "callback" e os handlers de SSheet.on()
+   * uma vez para cada célula alterada. Com SSheet.editValidation, as células que não
+   * atendem ao esquema são marcadas ou revertidas antes.
+   * @param {object} e
+   * @param {(event: EditEvent) => void} [callback] - Chamada para todas as células, inclusive fora da tabela.
+   * @returns {FailureReport} Os erros lançados por "callback" e pelos handlers e os das células
+   * inválidas, tratados conforme SSheet.errorPolicy.
+   */
+  handleEditEvent(e, callback = null) {
+    const { range, source: spreadsheet } = e;
+
+    const sheetName = range.getSheet().getName();
+    const ssId = spreadsheet.getId();
+
+    const failures = [];
+
+    if (ssId !== this.ssId || sheetName !== this.sheetName) return { failures, ok: true };
+
+    //A cópia no cache compartilhado não tem a edição
+    this.invalidateSharedCache();
+
+    //Sem ninguém para receber os eventos, as linhas não são relidas
+    if (!callback && !this.editValidation && !Object.keys(this._handlers.edit).length) {
+      if (this._data.length) this.clearCache();
+      return { failures, ok: true };
+    }
+
+    this.getEditEvents(e).forEach(({ event, previousValue }) => {
+      if (this.editValidation && event.colName && !this.checkEdit(event, previousValue, failures)) return;
+
+      const handlers = [callback, ...this.getEditHandlers(event.colName)].filter(Boolean);
+
+      handlers.forEach((handler) => {
+        try {
+          handler(event);
+        } catch (error) {
+          const range = getA1Notation(event.rowNumber, event.colNumber);
+          failures.push(this.handleFailure({ error, key: event.colName, method: 'handleEditEvent()', range }));
+        }
+      });
+    });
+    return { failures, ok: !failures.length };
   }
 
   /**
-   * @param {RowObject} rowObject
+   * Verifica a célula editada conforme o esquema e a marca ou reverte conforme
+   * SSheet.editValidation.
+   * @param {EditEvent} event
+   * @param {any} previousValue - O valor da célula no cache antes da edição, ou undefined se não for conhecido.
+   * @param {Failure[]} failures - Recebe o erro da célula, se houver.
+   * @returns {boolean} false se a edição foi revertida e os handlers não devem ser chamados.
+   * @private
    */
-  getRowDataByRowObject(rowObject) {
-    return this.headerRowData.map((colName) => {
-      let value = rowObject[colName];
-      return value !== undefined ? value : '';
+  checkEdit(event, previousValue, failures) {
+    const column = this.schema && this.schema[event.colName];
+    if (!column) return true;
+
+    const { colName, colNumber, range, rowNumber, sheet } = event;
+    const cell = this.callService('getRange', () => sheet.getRange(rowNumber, colNumber));
+    const isSingleCell = range.getNumRows() === 1 && range.getNumColumns() === 1;
+
+    //Em edições de uma única célula, "e.value" é sempre um texto, inclusive nas datas
+    const value = isSingleCell ? this.callService('getValue', () => cell.getValue()) : event.value;
+    const error = this.validateEdit(event.colName, rowNumber, value, column);
+
+    const failure = () => ({ error, key: event.colName, method: 'handleEditEvent()', range: getA1Notation(rowNumber, colNumber) });
+
+    if (!error) {
+      if (this.editValidation === 'flag') {
+        const note = this.callService('getNote', () => cell.getNote());
+        if (note.startsWith(VALIDATION_NOTE_PREFIX)) this.callService('clearNote', () => cell.clearNote());
+      }
+      return true;
+    }
+
+    //Nas colunas com fórmula MAP, o valor anterior era calculado pela fórmula e a
+    //célula é limpa. Nas demais, ele só é conhecido, com o seu tipo, pelo cache:
+    //"e.oldValue" é o texto exibido, que converteria datas e números em texto
+    const isMapColumn = this.columnsWithMapFormula.includes(colName);
+
+    if (this.editValidation === 'revert' && (isMapColumn || previousValue !== undefined)) {
+      this.callService('setValue', () => cell.setValue(isMapColumn ? '' : previousValue));
+
+      //O cache tem o valor revertido
+      if (this._data.length) this.clearCache();
+
+      failures.push(this.handleFailure(failure()));
+      return false;
+    }
+
+    this.callService('setNote', () => cell.setNote(VALIDATION_NOTE_PREFIX + error.message));
+    event.error = error;
+
+    failures.push(this.handleFailure(failure()));
+    return true;
+  }
+
+  /**
+   * @param {string} colName
+   * @param {number} rowNumber
+   * @param {any} value
+   * @param {ColumnSchema} column
+   * @returns {ValidationError|undefined} O erro, se o valor não atender ao esquema.
+   * @private
+   */
+  validateEdit(colName, rowNumber, value, column) {
+    if (isEmptyValue(value)) {
+      return column.required ? new ValidationError('REQUIRED_COLUMN', { column: colName, rowNumber }) : undefined;
+    }
+
+    try {
+      toCellValue(value, column);
+      return undefined;
+    } catch (e) {
+      if (!(e instanceof ValidationError)) throw e;
+      return new ValidationError(e.code, { ...e.context, column: colName, rowNumber });
+    }
+  }
+
+  /**
+   * Expande o evento do gatilho onEdit em um evento por célula alterada, com a
+   * linha inteira relida da aba. O cache passa a ter as linhas relidas.
+   * @param {object} e
+   * @returns {{event: EditEvent, previousValue: any}[]} Os eventos, com o valor de cada célula
+   * no cache antes da edição, ou undefined se ele não for conhecido.
+   * @private
+   */
+  getEditEvents(e) {
+    const { oldValue, range, source: spreadsheet, value } = e;
+    const { columnMap, headerRow } = this;
+    const { endRow, startColumn } = this.region;
+
+    const sheet = range.getSheet();
+    const context = { range, sheet, sheetName: sheet.getName(), spreadsheet, ssId: spreadsheet.getId() };
+
+    const firstRow = range.getRow();
+    const firstColumn = range.getColumn();
+    const numRows = range.getNumRows();
+    const numColumns = range.getNumColumns();
+
+    const isSingleCell = numRows === 1 && numColumns === 1;
+    const values = isSingleCell ? [[value]] : this.callService('getValues', () => range.getValues());
+
+    //As linhas da tabela alcançadas pela edição
+    const firstDataRow = Math.max(firstRow, headerRow + 1);
+    const lastDataRow = Math.min(firstRow + numRows - 1, endRow || Infinity);
+    const lastColumn = this.lastColumn;
+
+    const rows = lastDataRow >= firstDataRow && lastColumn
+      ? this.adapter.getValues(firstDataRow, startColumn, lastDataRow - firstDataRow + 1, lastColumn)
+      : [];
+
+    const previousRows = rows.map((_, index) => this.data[firstDataRow + index - 1]);
+    this.updateCachedRows(firstDataRow, rows);
+
+    const records = rows.map((rowData, index) => {
+      const rowNumber = firstDataRow + index;
+      return this.getRecordsByRowObjects([this.getRowObjectByRowData({ rowData, rowNumber })])[0];
+    });
+
+    const keysByColName = Object.entries(columnMap || {}).reduce((obj, [key, colName]) => {
+      obj[colName] = key;
+      return obj;
+    }, {});
+
+    const events = [];
+
+    values.forEach((rowValues, rowIndex) => {
+      rowValues.forEach((cellValue, colIndex) => {
+        const rowNumber = firstRow + rowIndex;
+        const colNumber = firstColumn + colIndex;
+        const regionColNumber = colNumber - startColumn + 1;
+        const dataIndex = rowNumber - firstDataRow;
+
+        const isInTable = dataIndex >= 0 && dataIndex < rows.length
+          && regionColNumber >= 1 && regionColNumber <= lastColumn;
+
+        const previousRow = isInTable ? previousRows[dataIndex] : undefined;
+        const cellOldValue = isSingleCell ? oldValue : previousRow && previousRow[regionColNumber - 1];
+
+        //Ao colar ou limpar uma única célula, "e.value" não é informado
+        const cellNewValue = !isSingleCell || cellValue !== undefined ? cellValue
+          : isInTable ? rows[dataIndex][regionColNumber - 1]
+          : this.callService('getValue', () => range.getValue());
+
+        //Sem o evento de uma única célula, só o cache diz se a célula mudou
+        if (!isSingleCell && previousRow && !valuesDiffer(cellOldValue, cellNewValue)) return;
+
+        const colName = isInTable ? this.getColNameByColNumber(regionColNumber) : undefined;
+
+        const event = {
+          ...context,
+          colName,
+          colNumber,
+          key: colName && keysByColName[colName],
+          oldValue: cellOldValue,
+          record: isInTable ? records[dataIndex] : undefined,
+          rowNumber,
+          value: cellNewValue,
+        };
+
+        events.push({ event, previousValue: previousRow && previousRow[regionColNumber - 1] });
+      });
     });
+    return events;
   }
 
   /**
-   * @param {{rowNumber:number, rowData:any[]}} object
-   * @returns {RowObject}
+   * Substitui as linhas em cache pelas relidas da aba. Com o cache incompleto,
+   * ele é descartado.
+   * @param {number} firstRow
+   * @param {any[][]} rows
+   * @returns {void}
+   * @private
    */
-  getRowObjectByRowData({rowNumber, rowData}) {
-    if (Array.isArray(rowData)) {
-      return this.headerRowData.reduce(
-        (obj, colName, index) => {
-          const value = rowData[index];
-          obj[colName] = value === '' ? undefined : value;
+  updateCachedRows(firstRow, rows) {
+    if (!rows.length || !this.data.length) return;
 
-          return obj;
-        },
-        { rowNumber }
-      );
+    if (!this.isCacheCompleted() || firstRow + rows.length - 1 > this.data.length) {
+      this.clearCache();
+      return;
     }
-    throw 'Ops! O parâmetro "rowData" deve ser um array.';
+
+    rows.forEach((rowData, index) => {
+      this._data[firstRow + index - 1] = [...rowData];
+    });
+    this.rebuildIndexes();
+    this.updateFingerprint();
   }
 
   /**
-   * @param {Range} range
-   * @returns {any[][]}
+   * @param {string} [colName]
+   * @returns {function[]} Os handlers da coluna, registrados pelo nome ou pela chave do columnMap, e os de "*".
+   * @private
    */
-  getFormulas(range) {
-    return mergeThreeDimensionalArrays(
-      range.getFormulas(),
-      range.getFormulasR1C1()
-    );
+  getEditHandlers(colName) {
+    const { edit } = this._handlers;
+
+    return Object.keys(edit)
+      .filter((column) => column === '*' || (colName && this.getColName(column) === colName))
+      .reduce((handlers, column) => handlers.concat(edit[column]), []);
+  }
+
+  /**
+   * Compara a cópia anterior à exclusão com a aba, pela chave primária.
+   * @param {any[][]} previousData
+   * @param {object} context
+   * @returns {RowEvent[]} Vazio se não houver cópia anterior ou se a chave primária for o número da linha.
+   * @private
+   */
+  getDeletedRowEvents(previousData, context) {
+    const { headerRow, primaryKey } = this;
+
+    if (this.isRowNumberPrimaryKey() || previousData.length <= headerRow) return [];
+
+    const getKeyValues = (rowData) => primaryKey.map((colName) => rowData[this.getColNumber(colName) - 1]);
+    const toKey = (rowData) => getKeyValues(rowData).join('&');
+
+    this.cacheAllData();
+
+    const currentKeys = new Set(this.data.slice(headerRow).filter(Boolean).map(toKey));
+
+    const deleted = [];
+
+    previousData.forEach((rowData, index) => {
+      const rowNumber = index + 1;
+      //Linhas sem chave, como as recém-inseridas, não são consideradas
+      if (rowNumber <= headerRow || !rowData || getKeyValues(rowData).every(isEmptyValue)) return;
+
+      if (!currentKeys.has(toKey(rowData))) {
+        deleted.push(this.getRowObjectByRowData({ rowData, rowNumber }));
+      }
+    });
+
+    return this.getRecordsByRowObjects(deleted).map((record, index) => ({
+      ...context,
+      record,
+      rowNumber: deleted[index].rowNumber,
+    }));
+  }
+
+  /**
+   * Trata um erro capturado conforme SSheet.errorPolicy.
+   * @param {Failure} failure
+   * @returns {Failure}
+   * @private
+   */
+  handleFailure(failure) {
+    const { errorPolicy } = this;
+    const { error, key, method, range } = failure;
+
+    if (errorPolicy === 'throw') throw error;
+
+    if (errorPolicy === 'collect') {
+      this._errors.push(failure);
+    } else if (errorPolicy === 'log') {
+      const target = [key, range].filter(Boolean).join(', ');
+      console.error(formatMessage('FAILURE_LOGGED', { className: this.className, method, target }), error);
+    } else {
+      errorPolicy(failure);
+    }
+    return failure;
+  }
+
+  /**
+   * @returns {void}
+   */
+  hide() {
+    const sheet = this.getAppsScriptSheet('hide()');
+    this.callService('hideSheet', () => sheet.hideSheet());
+  }
+
+  /**
+   * Sugere um esquema a partir de uma amostra das linhas em cache. O resultado
+   * pode ser revisado e atribuído a SSheet.schema.
+   * @param {{sampleSize?: number, maxEnumValues?: number}} [options]
+   * @returns {Schema}
+   */
+  inferSchema({ maxEnumValues, sampleSize = 100 } = {}) {
+    if (!this.isCacheCompleted()) {
+      this.cacheAllData();
+    }
+
+    const rows = this.data.slice(this.headerRow).filter(Boolean);
+
+    //A amostra é distribuída por toda a planilha, e não só pelas primeiras linhas
+    const step = Math.max(1, rows.length / sampleSize);
+    const sample = [];
+
+    for (let index = 0; index < rows.length && sample.length < sampleSize; index += step) {
+      sample.push(rows[Math.floor(index)]);
+    }
+
+    return inferSchemaFromRows(this.headerRowData, sample, { maxEnumValues });
+  }
+
+  /**
+  * @returns{boolean}
+  */
+  isCacheCompleted() {
+    const {data, headerRow, lastRow} = this;
+    return data[headerRow-1] && data.length === lastRow;
+  }
+
+  /**
+   * Indica se o cache passou do "maxAge" da política de cache.
+   * @returns {boolean}
+   */
+  isCacheExpired() {
+    const { cachePolicy: { maxAge }, lastRefreshInCache } = this;
+    return !lastRefreshInCache || differenceInSeconds(new Date(), lastRefreshInCache) >= maxAge;
+  }
+
+  /**
+   * Descarta o cache expirado. Com a política "fingerprint", o cache é mantido
+   * se a impressão digital da aba não mudou.
+   * @returns {void}
+   * @private
+   */
+  refreshStaleCache() {
+    if (this.isInTransaction() || !this.isCacheExpired()) return;
+
+    if (this._fingerprint && this._fingerprint === this.getFingerprint()) {
+      this._lastRefreshInCache = new Date();
+      return;
+    }
+    this.clearCache();
+  }
+
+  /**
+   * A impressão digital da tabela: a última linha e a última coluna da aba e um
+   * checksum do cabeçalho e das colunas da chave primária.
+   * @param {boolean} [fromCache] - Se true, o checksum é calculado com os dados em cache.
+   * @returns {string}
+   * @private
+   */
+  getFingerprint(fromCache = false) {
+    const { adapter, headerRow, lastColumn, primaryKey, region: { endRow, startColumn } } = this;
+
+    adapter.flush();
+
+    const sheetLastRow = adapter.getLastRow();
+    const lastDataRow = fromCache ? this.data.length : endRow ? Math.min(sheetLastRow, endRow) : sheetLastRow;
+
+    const colNumbers = primaryKey
+      .map((colName) => this.getColNumber(colName))
+      .filter(Boolean);
+
+    const header = fromCache ? this.data[headerRow-1]
+      : lastColumn ? adapter.getValues(headerRow, startColumn, 1, lastColumn)[0]
+        : [];
+
+    const checksums = [header, ...colNumbers.map((colNumber) => {
+      if (fromCache) return this.data.slice(headerRow).map((rowData) => rowData[colNumber-1]);
+      if (lastDataRow <= headerRow) return [];
+
+      return adapter.getValues(headerRow + 1, this.getSheetColumn(colNumber), lastDataRow - headerRow, 1)
+        .map(([value]) => value);
+    })].map(getChecksum);
+
+    return [sheetLastRow, adapter.getLastColumn(), ...checksums].join(':');
+  }
+
+  /**
+   * Guarda a impressão digital dos dados em cache, com a política "fingerprint" e o cache completo.
+   * @returns {void}
+   * @private
+   */
+  updateFingerprint() {
+    this._fingerprint = this.cachePolicy.onExpire === 'fingerprint' && this.data.length && this.isCacheCompleted()
+      ? this.getFingerprint(true)
+      : undefined;
+  }
+
+  /**
+   * Troca o carimbo de versão do cache compartilhado, se ativado, depois de
+   * aplicar as gravações pendentes.
+   * @returns {void}
+   * @private
+   */
+  invalidateSharedCache() {
+    if (!this.sharedCache) return;
+
+    //Outra execução não pode guardar, sob o novo carimbo, dados lidos antes das gravações
+    this.adapter.flush();
+    bumpSharedVersion(this.sharedCache, this.getSharedCacheKey());
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isInTransaction() {
+    return !!this._inTransaction;
+  }
+
+  /**
+   * Lê a posição do intervalo nomeado e define a região a partir dela.
+   * @returns {void}
+   * @private
+   */
+  resolveRangeName() {
+    const { adapter, className, rangeName, sheetName } = this;
+    const { headerRows } = this._region;
+
+    const namedRange = adapter.getNamedRange && adapter.getNamedRange(rangeName);
+
+    if (!namedRange || namedRange.numRows < headerRows) {
+      throw new SSheetError(namedRange ? 'NAMED_RANGE_TOO_SHORT' : 'NAMED_RANGE_NOT_FOUND', {
+        className,
+        headerRows,
+        method: 'rangeName',
+        rangeName,
+        sheetName,
+      });
+    }
+
+    this._headerRow = namedRange.row + headerRows - 1;
+    this._headerRowData = undefined;
+    this._region = {
+      ...this._region,
+      endColumn: namedRange.column + namedRange.numColumns - 1,
+      endRow: namedRange.row + namedRange.numRows - 1,
+      startColumn: namedRange.column,
+    };
+  }
+
+  /**
+   * Indica se o intervalo nomeado foi movido ou redimensionado desde que foi lido,
+   * ex.: por outro objeto SSheet limitado a outro intervalo da mesma aba.
+   * @returns {boolean}
+   * @private
+   */
+  hasRangeMoved() {
+    const { _region: region, adapter, rangeName } = this;
+
+    if (!rangeName || !region.startColumn) return false;
+
+    const namedRange = adapter.getNamedRange(rangeName);
+
+    return !namedRange
+      || namedRange.row + region.headerRows - 1 !== this._headerRow
+      || namedRange.row + namedRange.numRows - 1 !== region.endRow
+      || namedRange.column !== region.startColumn
+      || namedRange.column + namedRange.numColumns - 1 !== region.endColumn;
+  }
+
+  /**
+   * Indica se a tabela ocupa apenas parte das colunas ou das linhas da aba.
+   * @returns {boolean}
+   * @private
+   */
+  isRegionBounded() {
+    const { endColumn, endRow, startColumn } = this.region;
+    return startColumn > 1 || !!endColumn || !!endRow;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isRowNumberPrimaryKey() {
+    const { primaryKey } = this;
+    return primaryKey.length == 1 && primaryKey[0] == 'rowNumber';
+  }
+
+  /**
+   * @returns {SSheet} A aba padrão onde SSheet.migrate() registra as migrações.
+   * @private
+   */
+  getMigrationsSheet() {
+    const { className, spreadsheet, ssId } = this;
+
+    if (!spreadsheet) {
+      throw new ValidationError('METADATA_SHEET_REQUIRED', { className, method: 'migrate()' });
+    }
+
+    if (!spreadsheet.getSheetByName(MIGRATIONS_SHEET_NAME)) {
+      spreadsheet.insertSheet(MIGRATIONS_SHEET_NAME).hideSheet();
+    }
+    return new SSheet({ primaryKey: ['Sheet', 'Version'], sheetName: MIGRATIONS_SHEET_NAME, ssId });
+  }
+
+  /**
+   * Aplica as migrações ainda não registradas na aba de metadados, em ordem
+   * crescente de versão, registrando cada uma depois de aplicada.
+   * @param {Migration[]} migrations
+   * @param {{metadataSheet?: SSheet}} [options] - A aba onde as migrações são registradas.
+   * Padrão: a aba "SSheetMigrations" da mesma planilha, criada se não existir.
+   * @returns {number[]} As versões aplicadas.
+   */
+  migrate(migrations, { metadataSheet = this.getMigrationsSheet() } = {}) {
+    if (this.locking && !this._lock) {
+      return this.withLock(() => this.migrate(migrations, { metadataSheet }));
+    }
+
+    const { sheetName } = this;
+
+    metadataSheet.ensureColumns(MIGRATIONS_SCHEMA);
+    metadataSheet.schema = MIGRATIONS_SCHEMA;
+
+    const appliedVersions = metadataSheet.read({ Sheet: sheetName }).map(({ Version }) => Version);
+
+    const pending = migrations
+      .filter(({ version }) => !appliedVersions.includes(version))
+      .sort((a, b) => a.version - b.version);
+
+    pending.forEach(({ description, up, version }) => {
+      up(this);
+      this.refreshHeader();
+
+      metadataSheet.save({ AppliedAt: new Date(), Description: description, Sheet: sheetName, Version: version });
+    });
+
+    return pending.map(({ version }) => version);
+  }
+
+  /**
+   * Remove um handler registrado com SSheet.on(), SSheet.onInsertRow() ou SSheet.onDeleteRow().
+   * @param {string} column - A coluna usada no registro, ou 'insertRow' ou 'deleteRow'.
+   * @param {function} handler
+   * @returns {SSheet}
+   */
+  off(column, handler) {
+    const { deleteRow, edit, insertRow } = this._handlers;
+    const handlers = column === 'insertRow' ? insertRow : column === 'deleteRow' ? deleteRow : edit[column] || [];
+    const index = handlers.indexOf(handler);
+
+    if (index !== -1) handlers.splice(index, 1);
+    return this;
+  }
+
+  /**
+   * Registra um handler chamado por SSheet.handleEditEvent() para cada célula
+   * alterada na coluna.
+   * @param {string} column - O nome da coluna, a chave do columnMap ou '*' para todas as colunas.
+   * @param {(event: EditEvent) => void} handler
+   * @returns {SSheet}
+   */
+  on(column, handler) {
+    const { edit } = this._handlers;
+    edit[column] = (edit[column] || []).concat(handler);
+    return this;
+  }
+
+  /**
+   * Registra um handler chamado por SSheet.handleChangeEvent() para cada linha excluída.
+   * @param {(event: RowEvent) => void} handler
+   * @returns {SSheet}
+   */
+  onDeleteRow(handler) {
+    this._handlers.deleteRow.push(handler);
+    return this;
+  }
+
+  /**
+   * Registra um handler chamado por SSheet.handleChangeEvent() para cada linha inserida.
+   * @param {(event: RowEvent) => void} handler
+   * @returns {SSheet}
+   */
+  onInsertRow(handler) {
+    this._handlers.insertRow.push(handler);
+    return this;
+  }
+
+  /**
+   * Ex.: sheet.read({ Status: 'Aberto' }, { include: ['cliente'] }) ou sheet.read(null, 5)
+   * @param {Query} [query] - Valores simples, funções ou operadores ($gt, $in, $regex, $or...). Ver query.js.
+   * @param {number|ReadOptions} [rowNumber] - O número da linha ou as opções "include", "limit"
+   * e "withDeleted" de ReadOptions. Para ordenar e paginar, use SSheet.readPage().
+   * @param {number} [limit]
+   * @returns {Model[]|RowObject[]}
+   */
+  read(query = {}, rowNumber = null, limit = null) {
+    const options = rowNumber && typeof rowNumber === 'object' ? rowNumber : {};
+    const { include, withDeleted = false } = options;
+
+    if (rowNumber === options) {
+      query = query || {};
+      rowNumber = null;
+      limit = options.limit === undefined ? null : options.limit;
+    }
+
+    //Um cache formado apenas por linhas lidas uma a uma não expira
+    if (this.lastRefreshInCache) this.refreshStaleCache();
+
+    const rowObjects = this.findRowObjects(withDeleted ? query : this.excludeSoftDeleted(query), rowNumber, limit);
+    const records = this.getRecordsByRowObjects(rowObjects);
+
+    if (include) this.includeRelations(records, rowObjects, include, 'read()');
+
+    return records;
   }
 
   /**
-   * @param {object} e
-   * @param {function} callback
-   * @returns {void}
+   * Busca as linhas que atendem à query, ordenadas, paginadas e com apenas as colunas pedidas.
+   * Os registros são ordenados por "sort" e, em seguida, pela chave primária.
+   * Ex.: sheet.readPage({ Status: 'Aberto' }, { sort: '-Data', limit: 50, cursor: page.nextCursor })
+   * @param {Query} [query]
+   * @param {ReadOptions} [options]
+   * @returns {ReadResult}
    */
-  handleEditEvent(e, callback = null) {
-    const { oldValue, range, source: spreadsheet, value } = e;
-
-    const sheetName = range.getSheet().getName();
-    const ssId = spreadsheet.getId();
-    const sheet = range.getSheet();
+  readPage(query = {}, options = {}) {
+    const { className } = this;
+    const { cursor, fields, include, limit, sort, withDeleted = false } = options;
 
-    if (ssId !== this.ssId || sheetName !== this.sheetName) return;
+    //Um cache formado apenas por linhas lidas uma a uma não expira
+    if (this.lastRefreshInCache) this.refreshStaleCache();
 
-    const rowNumber = range.getRow();
-    const colNumber = range.getColumn();
+    const rowObjects = this.findRowObjects(withDeleted ? query || {} : this.excludeSoftDeleted(query || {}), null, Infinity);
 
-    let colName;
+    const sortKeys = [
+      ...(sort ? parseSort(sort) : []).map(({ key, direction }) => ({
+        colName: key === 'rowNumber' ? key : this.getColName(key),
+        direction,
+      })),
+      ...(this.isRowNumberPrimaryKey() ? ['rowNumber'] : this.primaryKey).map((colName) => ({ colName, direction: 1 })),
+    ];
 
-    if (value !== undefined || oldValue !== undefined) {
-      const { headerRow } = this;
+    /**
+     * @param {RowObject} rowObject
+     * @returns {any[]} Os valores que definem a posição do registro na ordenação.
+     */
+    const getPosition = (rowObject) => sortKeys.map(({ colName }) => rowObject[colName]);
 
-      if (headerRow && rowNumber > headerRow) {
-        colName = this.getColNameByColNumber(colNumber);
+    const comparePositions = (a, b) => {
+      for (let i = 0; i < sortKeys.length; i++) {
+        const result = compareForSort(a[i], b[i], sortKeys[i].direction);
+        if (result) return result;
       }
-    }
-    try {
-      if (callback) {
-        callback({
-          colName,
-          colNumber,
-          oldValue,
-          rowNumber,
-          range,
-          sheet,
-          sheetName,
-          spreadsheet,
-          ssId,
-          value,
-        });
+      return 0;
+    };
+
+    rowObjects.sort((a, b) => comparePositions(getPosition(a), getPosition(b)) || a.rowNumber - b.rowNumber);
+
+    let offset = options.offset || 0;
+
+    if (cursor !== undefined) {
+      const position = decodeCursor(cursor);
+
+      if (!position || position.length !== sortKeys.length) {
+        throw new ValidationError('INVALID_CURSOR', { className, method: 'readPage()', value: cursor });
       }
-    } catch(e) {
-      //
+
+      offset = rowObjects.findIndex((rowObject) => comparePositions(getPosition(rowObject), position) > 0);
+      if (offset < 0) offset = rowObjects.length;
+    } else if (!(Number.isInteger(offset) && offset >= 0)) {
+      throw new ValidationError('INVALID_OFFSET', { className, method: 'readPage()', value: offset });
     }
+
+    const end = limit === undefined || limit === null ? rowObjects.length : offset + limit;
+    const page = rowObjects.slice(offset, end);
+
+    const records = this.getRecordsByRowObjects(page, fields);
+
+    if (include) this.includeRelations(records, page, include);
+
+    return {
+      nextCursor: page.length && end < rowObjects.length ? encodeCursor(getPosition(page[page.length - 1])) : undefined,
+      offset,
+      records,
+      total: rowObjects.length,
+    };
   }
 
   /**
+   * Adiciona aos registros os registros relacionados, buscados de uma só vez
+   * para todos eles. Em "belongsTo", é adicionado o registro de "target" ou
+   * undefined; em "hasMany", um array com os registros de "target".
+   * @param {Model[]|RowObject[]} records
+   * @param {RowObject[]} rowObjects - Os rowObjects dos registros, na mesma ordem.
+   * @param {string[]} include - Os nomes das relações, ex.: ['cliente', 'itens.produto'].
+   * @param {string} [method] - O método chamado, usado nos erros.
    * @returns {void}
+   * @private
    */
-  hide() {
-    this.sheet.hideSheet();
-  }
+  includeRelations(records, rowObjects, include, method = 'readPage()') {
+    /** @type {Object<string, string[]>} */
+    const nestedByName = include.reduce((map, path) => {
+      const [name, ...nested] = path.split('.');
 
-  /**
-  * @returns{boolean}
-  */
-  isCacheCompleted() {
-    const {data, headerRow, lastRow} = this;
-    return data[headerRow-1] && data.length === lastRow;
+      map[name] = map[name] || [];
+      if (nested.length) map[name].push(nested.join('.'));
+      return map;
+    }, {});
+
+    Object.entries(nestedByName).forEach(([name, nested]) => {
+      const relation = this.relations[name];
+
+      if (!relation) {
+        throw new ValidationError('UNKNOWN_RELATION', { className: this.className, method, relation: name });
+      }
+
+      const { foreignKey, target, type } = relation;
+
+      if (type === 'belongsTo') {
+        const colName = this.getColName(foreignKey);
+        const rowNumbers = rowObjects.map((rowObject) => target.findRowNumberByKey(rowObject[colName]));
+
+        const relatedRowObjects = [...new Set(rowNumbers.filter(Boolean))].map((rowNumber) => {
+          return target.getRowObjectByRowData({ rowNumber, rowData: target.data[rowNumber-1] });
+        });
+        const relatedRecords = target.getRecordsByRowObjects(relatedRowObjects);
+
+        if (nested.length) target.includeRelations(relatedRecords, relatedRowObjects, nested, method);
+
+        /** @type {Object<number, Model|RowObject>} */
+        const recordsByRowNumber = relatedRowObjects.reduce((map, { rowNumber }, index) => {
+          map[rowNumber] = relatedRecords[index];
+          return map;
+        }, {});
+
+        records.forEach((record, index) => {
+          record[name] = recordsByRowNumber[rowNumbers[index]];
+        });
+        return;
+      }
+
+      const [keyColName] = this.primaryKey;
+      const colName = target.getColName(foreignKey);
+
+      const keys = [...new Set(rowObjects.map((rowObject) => rowObject[keyColName]))]
+        .filter((key) => !isEmptyValue(key));
+
+      const relatedRowObjects = keys.length
+        ? target.findRowObjects(target.excludeSoftDeleted({ [colName]: { $in: keys } }), null, Infinity)
+        : [];
+      const relatedRecords = target.getRecordsByRowObjects(relatedRowObjects);
+
+      if (nested.length) target.includeRelations(relatedRecords, relatedRowObjects, nested, method);
+
+      /** @type {Object<string, Model[]|RowObject[]>} */
+      const recordsByKey = relatedRowObjects.reduce((map, rowObject, index) => {
+        const key = getIndexKeyPart(rowObject[colName]);
+
+        map[key] = map[key] || [];
+        map[key].push(relatedRecords[index]);
+        return map;
+      }, {});
+
+      records.forEach((record, index) => {
+        record[name] = recordsByKey[getIndexKeyPart(rowObjects[index][keyColName])] || [];
+      });
+    });
   }
 
   /**
-   * @returns {boolean}
+   * Adiciona à query a condição que exclui as linhas marcadas com o "softDeleteColumn",
+   * a menos que a query use a própria coluna.
+   * @param {Query} query - null nas leituras pelo número da linha, que não são filtradas.
+   * @returns {Query}
+   * @private
    */
-  isInTransaction() {
-    return !!this._inTransaction;
+  excludeSoftDeleted(query) {
+    const { softDeleteColumn } = this;
+
+    if (!softDeleteColumn || !query) return query;
+
+    const colName = this.getColName(softDeleteColumn);
+
+    if (Object.keys(query).some((key) => this.getColName(key) === colName)) return query;
+    return { ...query, [colName]: { $ne: true } };
   }
 
   /**
-   * @returns {boolean}
+   * Converte os rowObjects para os registros retornados por SSheet.read(),
+   * usando o columnMap e o entity, se definidos.
+   * @param {RowObject[]} rowObjects
+   * @param {string[]} [fields] - As colunas ou chaves do columnMap a serem mantidas.
+   * @returns {Model[]|RowObject[]}
    */
-  isRowNumberPrimaryKey() {
-    const { primaryKey } = this;
-    return primaryKey.length == 1 && primaryKey[0] == 'rowNumber';
+  getRecordsByRowObjects(rowObjects, fields = null) {
+    const { columnMap, concurrencyControl, entity } = this;
+
+    if (concurrencyControl) {
+      rowObjects.forEach(({ rowNumber }) => {
+        const rowData = this.data[rowNumber-1];
+        if (rowData) this._snapshots[rowNumber] = [...rowData];
+      });
+    }
+
+    const colNames = fields ? fields.map((field) => this.getColName(field)) : null;
+
+    if (!columnMap) {
+      return colNames
+        ? rowObjects.map((rowObject) => colNames.reduce((obj, colName) => {
+            obj[colName] = rowObject[colName];
+            return obj;
+          }, { rowNumber: rowObject.rowNumber }))
+        : rowObjects;
+    }
+
+    const entries = Object.entries(columnMap)
+      .filter(([, colName]) => !colNames || colNames.includes(colName));
+
+    return rowObjects.map((rowObject) => {
+      const { rowNumber } = rowObject;
+      /**@type {object|Model} */
+      let model = entries.reduce(
+        (obj, [key, colName]) => {
+          obj[key] = rowObject[colName];
+          return obj;
+        },
+        { rowNumber }
+      );
+      if (entity) {
+        model = Model.getFromJSON(entity, model);
+        model.rowNumber = rowNumber;
+        model = model.makeObservable();
+      }
+      return model;
+    });
   }
 
   /**
-   * @param {object} [query]
+   * Busca as linhas que atendem à query, sem aplicar o columnMap ao resultado.
+   * @param {Query} [query]
    * @param {number} [rowNumber]
    * @param {number} [limit]
-   * @returns {Model[]|RowObject[]}
+   * @returns {RowObject[]}
    */
-  read(query = {}, rowNumber = null, limit = null) {
+  findRowObjects(query = {}, rowNumber = null, limit = null) {
     const {
       className,
       columnMap,
-      entity,
       headerRow,
       mapByPrimaryKey,
       primaryKey,
+      schema,
     } = this;
 
-    /** @type {Model[] | RowObject[] | object[]} result */
+    /** @type {RowObject[]} result */
     let result = [];
 
     //ATTENTION! When rowNumber is passed with query,
     //the search starts from that point, improving performance.
     if (rowNumber && !query) {
       if (rowNumber <= headerRow) {
-        throw (
-          `Ops! Erro ao chamar ${className}.read():\n` +
-          'O parâmetro "rowNumber" deve ser maior que o número da linha do cabeçalho.'
-        );
+        throw new ValidationError('INVALID_ROW_NUMBER', { className, method: 'read()', rowNumber });
       }
 
       let rowData = this.data[rowNumber-1];
@@ -740,10 +3392,7 @@ export default class SSheet {
       const rowObject = this.getRowObjectByRowData({rowNumber, rowData});
 
       if (!rowObject) {
-        throw (
-          `Ops! Erro ao chamar ${className}.read():\n` +
-          `Não foi encontrado nenhum dado na linha ${rowNumber}`
-        );
+        throw new RowNotFoundError('ROW_NOT_FOUND', { className, method: 'read()', rowNumber });
       }
       result.push(rowObject);
     } else {
@@ -760,7 +3409,7 @@ export default class SSheet {
       }
 
       const queryHasAllPrimaryKeys = primaryKey.every(
-        colName => query[colName] !== undefined && typeof query[colName] !== 'function'
+        colName => isEqualityCondition(query[colName])
       );
 
       /**
@@ -769,21 +3418,16 @@ export default class SSheet {
       const pushToResultIfMatches = (rowNumber) => {
         const rowData = this.data[rowNumber-1];
 
-        const matched = Object.entries(query).reduce((matched, [colName, searchValue]) => {
-          if(matched){
-            const colNumber = this.getColNumber(colName);
-            let foundValue = rowData[colNumber-1];
+        const matched = matchesQuery(query, (colName) => {
+          if (colName === 'rowNumber') return rowNumber;
 
-            if(foundValue === '') foundValue = undefined;
+          const colNumber = this.getColNumber(colName);
+          const foundValue = rowData[colNumber-1];
+          const column = schema && schema[colName];
 
-            return isDate(foundValue) && isDate(searchValue)
-              ? isSameMinute(foundValue, searchValue)
-              : typeof searchValue === 'function'
-                ? searchValue(foundValue)
-                : foundValue === searchValue;
-          }
-          return matched;
-        }, true);
+          if (foundValue === '') return undefined;
+          return column ? coerceValue(foundValue, column) : foundValue;
+        });
 
         if(matched){
           result.push(this.getRowObjectByRowData({rowNumber, rowData}));
@@ -800,7 +3444,7 @@ export default class SSheet {
           pushToResultIfMatches(rowNumber);
         }else if(!this.isCacheCompleted()){
           this.cacheAllData();
-          return this.read(query, null, 1);
+          return this.findRowObjects(query, null, 1);
         }
       } else {
         if (!this.isCacheCompleted()) {
@@ -808,47 +3452,76 @@ export default class SSheet {
         }
         limit = limit || 10000;
 
-        let len = this.data.length;
+        const indexMatch = this.findIndexForQuery(query);
 
-        for (rowNumber = headerRow; rowNumber <= len && found < limit; rowNumber++) {
-          pushToResultIfMatches(rowNumber);
+        if (indexMatch) {
+          const { index, key } = indexMatch;
+          const rowNumbers = [...(index.map[key] || [])].sort((a, b) => a - b);
+
+          for (let i = 0; i < rowNumbers.length && found < limit; i++) {
+            pushToResultIfMatches(rowNumbers[i]);
+          }
+        } else {
+          let len = this.data.length;
+
+          for (rowNumber = headerRow + 1; rowNumber <= len && found < limit; rowNumber++) {
+            pushToResultIfMatches(rowNumber);
+          }
         }
       }
     }
 
-    if (columnMap) {
-      result = result.map((rowObject) => {
-        const { rowNumber } = rowObject;
-        /**@type {object|Model} */
-        let model = Object.entries(columnMap).reduce(
-          (obj, [key, colName]) => {
-            obj[key] = rowObject[colName];
-            return obj;
-          },
-          { rowNumber }
-        );
-        if (entity) {
-          model = Model.getFromJSON(entity, model);
-          model.rowNumber = rowNumber;
-          model = model.makeObservable();
-        }
-        return model;
-      });
-    }
     return result;
   }
 
   /**
+   * Renomeia uma coluna no cabeçalho.
+   * @param {string} from - O nome atual da coluna.
+   * @param {string} to - O novo nome.
+   * @returns {void}
+   */
+  renameColumn(from, to) {
+    const { className } = this;
+
+    this.assertColumnsExist('renameColumn', [from]);
+
+    if (this.isInTransaction() || this.headerRowData.includes(to)) {
+      throw this.isInTransaction()
+        ? new SSheetError('HEADER_CHANGE_IN_TRANSACTION', { className, method: 'renameColumn()' })
+        : new ValidationError('COLUMN_EXISTS', { className, column: to, method: 'renameColumn()' });
+    }
+
+    this.setHeaderCell('renameColumn', this.headerRowData.indexOf(from) + 1, to);
+    this.invalidateSharedCache();
+    this.refreshHeader();
+  }
+
+  /**
+   * Descarta o cache e as informações do cabeçalho, depois que ele foi alterado.
+   * @returns {void}
+   * @private
+   */
+  refreshHeader() {
+    this._columnsWithMapFormula = undefined;
+    this.clearCache();
+  }
+
+  /**
+   * Atualiza o intervalo das visualizações de filtro da aba. Os erros são
+   * tratados conforme SSheet.errorPolicy. Disponível apenas com o AppsScriptAdapter
+   * e o serviço avançado Sheets.
    * @returns {SSheet}
    */
   refreshFilterViews() {
-    const { lastColumn, lastRow, sheetId, sheetName, ssId } = this;
+    this.getAppsScriptSheet('refreshFilterViews()');
+
+    const { headerRow, lastColumn, lastRow, region, sheetId, sheetName, ssId } = this;
 
     try {
-      const filterViews = Sheets.Spreadsheets.get(ssId, {
+      const filterViews = this.callService('getFilterViews', () => Sheets.Spreadsheets.get(ssId, {
         ranges: [sheetName],
         fields: 'sheets(filterViews)',
-      }).sheets[0].filterViews;
+      })).sheets[0].filterViews;
 
       if (filterViews && filterViews.length) {
         const requests = filterViews.map((e) => ({
@@ -857,51 +3530,113 @@ export default class SSheet {
               filterViewId: e.filterViewId,
               range: {
                 sheetId,
-                startRowIndex: 0,
+                startRowIndex: headerRow - 1,
                 endRowIndex: lastRow,
-                startColumnIndex: 0,
-                endColumnIndex: lastColumn,
+                startColumnIndex: region.startColumn - 1,
+                endColumnIndex: region.startColumn - 1 + lastColumn,
               },
             },
             fields: '*',
           },
         }));
-        Sheets.Spreadsheets.batchUpdate({ requests }, ssId);
+        this.callService('updateFilterViews', () => Sheets.Spreadsheets.batchUpdate({ requests }, ssId));
       }
-    } catch (e) {
-      console.error(e);
+    } catch (error) {
+      this.handleFailure({ error, method: 'refreshFilterViews()', range: sheetName });
     }
     return this;
   }
 
   /**
+   * Preenche os intervalos de SSheet.rangesA1 com os valores de mesma chave em
+   * "object". Um intervalo com erro não impede o preenchimento dos demais.
    * @param {object} object
+   * @returns {FailureReport} Os intervalos que não foram preenchidos e por quê.
    */
   render(object = null) {
     if (!this.rangesA1) {
-      throw (
-        `Ops! Erro ao chamar '${this.className}.render()'. ` +
-        "O parâmetro 'rangesA1' não foi definido."
-      );
+      throw new ValidationError('RANGES_A1_REQUIRED', { className: this.className, method: 'render()' });
     }
+    const sheet = this.getAppsScriptSheet('render()');
+    const failures = [];
+
     Object.entries(this.rangesA1).forEach(([key, rangeA1]) => {
       try {
         const value = object && object[key];
         if (value !== undefined) {
-          this.sheet.getRange(rangeA1).setValue(value);
+          this.callService('setValue', () => sheet.getRange(rangeA1).setValue(value));
         }
-      } catch (e) {
-        //Tudo bem!
+      } catch (error) {
+        failures.push(this.handleFailure({ error, key, method: 'render()', range: rangeA1 }));
       }
     });
+    return { failures, ok: !failures.length };
   }
 
   /**
+   * Os Models recebidos que não eram observáveis não se tornam observáveis: use os
+   * registros de SaveResult, que são as cópias observáveis, para salvá-los novamente.
    * @param {Model|Model[]|object|object[]} data
-   * @returns {void}
+   * @param {SaveOptions} [options]
+   * @returns {SaveResult} Os registros inseridos, atualizados e inalterados, com os números das linhas.
+   * @throws {ConflictError} Se o controle de concorrência estiver ativo e a linha
+   * tiver sido alterada por outro usuário desde que foi lida.
    */
-  save(data) {
-    const { columnMap, entity, lastRefreshInCache, primaryKey, readOnlyKeys, sheet } = this;
+  save(data, options = {}) {
+    const {
+      columnMap,
+      concurrencyControl,
+      entity,
+      generatedKey,
+      primaryKey,
+      readOnlyKeys,
+      relations,
+      schema = {},
+    } = this;
+
+    const { strategy: keyStrategy = 'increment' } = generatedKey || {};
+
+    if (this.locking && !this._lock && !this.isInTransaction()) {
+      return this.withLock(() => this.save(data, options));
+    }
+
+    const versionColName = concurrencyControl && concurrencyControl.versionColumn
+      && this.getColName(concurrencyControl.versionColumn);
+
+    const generatedColName = generatedKey && this.getColName(generatedKey.column);
+
+    //Os nomes das colunas são obtidos antes que o columnMap seja limpo, mais abaixo
+    /** @type {Object<string, string>} */
+    const foreignKeyColNames = Object.entries(relations).reduce((obj, [name, { foreignKey, type }]) => {
+      if (type === 'belongsTo') obj[name] = this.getColName(foreignKey);
+      return obj;
+    }, {});
+
+    /**
+     * Valores gerados por SSheet.save() a serem copiados para os objetos recebidos.
+     * @type {[object, string, any][]}
+     */
+    const valuesToWriteBack = [];
+
+    /**
+     * O último valor gerado pelo incremento automático.
+     * @type {number}
+     */
+    let lastGeneratedKey = undefined;
+
+    /**
+     * Os valores das colunas não gravadas no modo "merge", como o chamador os conhece.
+     * @type {Object<number, RowObject>}
+     */
+    const mergedRowObjects = {};
+
+    /** @type {SaveResult} */
+    const result = { inserted: [], unchanged: [], updated: [] };
+
+    /** @type {AuditEntry[]} */
+    const auditEntries = [];
+
+    const timestamp = new Date();
 
     /** @type {any[][]} */
     const valuesToAppend = [];
@@ -915,18 +3650,31 @@ export default class SSheet {
     /** @type {number} */
     let maxCol = undefined;
 
+    /** @type {Object<string, Object<string, boolean>>} */
+    const pendingKeys = {};
+
+    /**
+     * As linhas em cache antes de serem alteradas por esta chamada, restauradas se ela falhar.
+     * @type {Object<number, any[]>}
+     */
+    const previousRows = {};
+
     data = Array.isArray(data) ? data : [data];
 
+    const records = [...data];
+
     /**
      * @param {Model} model
      * @returns {RowObject}
      */
     const getRowObjectByModel = (model) => {
       if (!(model instanceof entity)) {
-        throw (
-          `Ops! Erro ao chamar "${this.className}.save()". ` +
-          `O parâmetro "data" deve ser um array de objetos do tipo "${entity.name}".`
-        );
+        throw new ValidationError('INVALID_DATA', {
+          className: this.className,
+          entityName: entity.name,
+          method: 'save()',
+          value: model,
+        });
       }
 
       model.init();
@@ -934,34 +3682,236 @@ export default class SSheet {
 
       const { rowNumber } = model;
 
-      const modelIsObservable = Model.isObservable(model);
-      const getFullRowObject = !(rowNumber && modelIsObservable);
+      const modelIsObservable = Model.isObservable(model);
+      const getFullRowObject = !(rowNumber && modelIsObservable);
+
+      if(columnMap){
+        return Object.entries(columnMap).reduce(
+          (obj, [key, columnName]) => {
+            if (
+              getFullRowObject ||
+              primaryKey.includes(columnName) ||
+              columnName === versionColName ||
+              (modelIsObservable && model.hasChanged(key))
+            ) {
+              obj[columnName] = model[key];
+            }
+            return obj;
+          },
+          { rowNumber }
+        );
+      }else{
+        return model.toJSON();
+      }
+    };
+
+    /**
+     * @param {any} currentVersion
+     * @returns {number|Date}
+     */
+    const getNextVersion = (currentVersion) => {
+      return concurrencyControl.versionType === 'timestamp'
+        ? new Date()
+        : (parseInt(currentVersion) || 0) + 1;
+    };
+
+    /**
+     * @param {string} colName
+     * @param {any} value
+     * @returns {any} O valor convertido para o tipo da coluna, como deve ser gravado.
+     */
+    const toSchemaCellValue = (colName, value) => {
+      try {
+        return toCellValue(value, schema[colName]);
+      } catch (e) {
+        if (!(e instanceof ValidationError)) throw e;
+
+        throw new ValidationError(e.code, { ...e.context, className: this.className, column: colName, method: 'save()' });
+      }
+    };
+
+    /**
+     * Converte os valores das colunas definidas no esquema.
+     * @param {RowObject} rowObject
+     * @returns {RowObject} Uma cópia do rowObject.
+     */
+    const coerceRowObject = (rowObject) => {
+      return Object.entries(rowObject).reduce((obj, [colName, value]) => {
+        obj[colName] = schema[colName] && value !== undefined ? toSchemaCellValue(colName, value) : value;
+        return obj;
+      }, {});
+    };
+
+    /**
+     * Preenche os valores padrão, ao inserir, e verifica as colunas obrigatórias.
+     * Ao atualizar, só são verificadas as colunas presentes no rowObject.
+     * @param {RowObject} rowObject - Um rowObject já convertido por coerceRowObject().
+     * @param {boolean} isNew
+     * @returns {void}
+     */
+    const applySchemaRules = (rowObject, isNew) => {
+      Object.entries(schema).forEach(([colName, column]) => {
+        if (isNew && column.default !== undefined && isEmptyValue(rowObject[colName])) {
+          rowObject[colName] = toSchemaCellValue(colName, getDefaultValue(column));
+        }
+
+        //As colunas geradas são preenchidas depois
+        const isGenerated = colName === generatedColName || colName === versionColName;
+
+        if (
+          column.required && !isGenerated && isEmptyValue(rowObject[colName])
+          && (isNew || colName in rowObject)
+        ) {
+          throw new ValidationError('REQUIRED_COLUMN', {
+            className: this.className,
+            column: colName,
+            method: 'save()',
+            rowNumber: rowObject.rowNumber,
+          });
+        }
+      });
+    };
+
+    /**
+     * Verifica se as chaves estrangeiras das relações com "checkOnSave" têm um
+     * registro correspondente. Só são verificadas as colunas presentes no rowObject.
+     * @param {RowObject} rowObject
+     * @returns {void}
+     */
+    const assertReferencesExist = (rowObject) => {
+      Object.entries(relations).forEach(([name, { checkOnSave, target, type }]) => {
+        if (type !== 'belongsTo' || !checkOnSave) return;
+
+        const value = rowObject[foreignKeyColNames[name]];
+
+        if (isEmptyValue(value) || target.findRowNumberByKey(value)) return;
+
+        throw new ValidationError('REFERENCE_NOT_FOUND', {
+          className: this.className,
+          column: target.primaryKey[0],
+          method: 'save()',
+          relation: name,
+          sheetName: target.sheetName,
+          value,
+        });
+      });
+    };
+
+    /**
+     * @param {RowObject} rowObject
+     * @returns {any}
+     */
+    const generateKey = (rowObject) => {
+      if (typeof keyStrategy === 'function') {
+        return keyStrategy({ rowObject, sheet: this });
+      }
+      if (keyStrategy === 'uuid') {
+        if (typeof Utilities !== 'undefined') return Utilities.getUuid();
+
+        //No Node.js 18, o "crypto" global só existe com --experimental-global-webcrypto
+        if (typeof crypto === 'undefined' || !crypto.randomUUID) {
+          throw new SSheetError('UUID_NOT_SUPPORTED', {
+            className: this.className,
+            column: generatedColName,
+            method: 'save()',
+          });
+        }
+        return crypto.randomUUID();
+      }
+      //O bloqueio de SSheet.commit() não protege os valores gerados antes dele
+      if (this.isInTransaction()) {
+        throw new SSheetError('INCREMENT_IN_TRANSACTION', {
+          className: this.className,
+          column: generatedColName,
+          method: 'save()',
+        });
+      }
+      if (lastGeneratedKey === undefined) {
+        lastGeneratedKey = parseInt(this.getMaxInColumn(generatedColName)) || 0;
+      }
+      return ++lastGeneratedKey;
+    };
+
+    /**
+     * Verifica se a linha foi alterada por outro usuário ou execução desde que foi lida.
+     * @param {number} rowNumber
+     * @param {RowObject} rowObject
+     * @returns {string[]} No modo "merge", as colunas não alteradas pelo chamador, que não devem ser gravadas.
+     * @throws {ConflictError}
+     */
+    const assertNoConflicts = (rowNumber, rowObject) => {
+      if (!concurrencyControl) return [];
+
+      const { merge = false } = concurrencyControl;
+      const currentRowData = this.data[rowNumber-1];
+      const snapshot = this._snapshots[rowNumber];
+
+      /**
+       * @param {any[]} rowData
+       * @param {string} colName
+       */
+      const getValue = (rowData, colName) => rowData[this.getColNumber(colName)-1];
+
+      let isStale;
+
+      if (versionColName) {
+        const expectedVersion = rowObject[versionColName] !== undefined
+          ? rowObject[versionColName]
+          : snapshot && getValue(snapshot, versionColName);
+
+        isStale = ![undefined, null, ''].includes(expectedVersion)
+          && versionsDiffer(expectedVersion, getValue(currentRowData, versionColName));
+      } else {
+        isStale = !!snapshot && snapshot.some((value, index) => valuesDiffer(value, currentRowData[index]));
+      }
+
+      if (!isStale) return [];
+
+      const colNames = Object.keys(rowObject)
+        .filter((colName) => colName !== versionColName && this.getColNumber(colName));
+
+      const changedByCaller = snapshot
+        ? colNames.filter((colName) => valuesDiffer(rowObject[colName], getValue(snapshot, colName)))
+        : colNames;
+
+      //Sem a cópia da leitura, não é possível saber o que foi alterado pelo outro usuário
+      const changedByOthers = snapshot
+        ? this.headerRowData.filter((colName, index) => colName && valuesDiffer(snapshot[index], currentRowData[index]))
+        : undefined;
+
+      const conflictingColNames = merge
+        ? changedByCaller.filter((colName) => !changedByOthers || changedByOthers.includes(colName))
+        : changedByOthers || [versionColName];
+
+      if (conflictingColNames.length) {
+        const fields = conflictingColNames.map((colName) => ({
+          actual: getValue(currentRowData, colName),
+          colName,
+          expected: colName === versionColName && rowObject[colName] !== undefined
+            ? rowObject[colName]
+            : snapshot && getValue(snapshot, colName),
+          value: rowObject[colName],
+        }));
 
-      if(columnMap){
-        return Object.entries(columnMap).reduce(
-          (obj, [key, columnName]) => {
-            if (
-              getFullRowObject ||
-              primaryKey.includes(columnName) ||
-              (modelIsObservable && model.hasChanged(key))
-            ) {
-              obj[columnName] = model[key];
-            }
-            return obj;
-          },
-          { rowNumber }
-        );
-      }else{
-        return model.toJSON();
+        throw new ConflictError({ className: this.className, fields, method: 'save()', rowNumber });
       }
+
+      return colNames.filter((colName) => !changedByCaller.includes(colName));
     };
 
     /**
      * @param {RowObject} rowObject
+     * @param {object} record - O objeto ou Model recebido por SSheet.save().
      */
-    const updateCachedRowData = (rowObject) => {
+    const updateCachedRowData = (rowObject, record) => {
+      rowObject = coerceRowObject(rowObject);
+
       let { rowNumber } = rowObject;
 
+      //Uma linha sem o valor da chave primária gerada é sempre uma nova linha
+      const mustAppend = !rowNumber && primaryKey.includes(generatedColName)
+        && [undefined, null, ''].includes(rowObject[generatedColName]);
+
       let quantityOfQueryKeys = 0;
 
       let query = rowNumber ? null
@@ -974,30 +3924,87 @@ export default class SSheet {
             return obj;
           }, {});
 
-      if(!(rowNumber || quantityOfQueryKeys)){
-        throw (
-          `Ops! Erro ao chamar "${this.className}.save()":\n` +
-          'Não foi possível encontrar a linha a ser atualizada. ' +
-          'Você deve informar o número da linha ou o valor de pelo menos ' +
-          'uma das colunas que compõem a chave primária.'
-        );
+      if(!(rowNumber || quantityOfQueryKeys || mustAppend)){
+        throw new ValidationError('KEY_REQUIRED_TO_UPDATE', { className: this.className, method: 'save()', value: rowObject });
       }
 
-      const oldRowObject = this.read(query, rowNumber, 1)[0];
+      const oldRowObject = mustAppend ? undefined : this.findRowObjects(query, rowNumber, 1)[0];
 
       let rowData;
 
       if(!oldRowObject){
+        applySchemaRules(rowObject, true);
+        assertReferencesExist(rowObject);
         rowData = this.getRowDataByRowObject(rowObject);
+
+        const generatedColNumber = generatedColName && this.getColNumber(generatedColName);
+
+        if(generatedColNumber && rowData[generatedColNumber-1] === ''){
+          rowData[generatedColNumber-1] = generateKey(rowObject);
+          valuesToWriteBack.push([record, generatedColName, rowData[generatedColNumber-1]]);
+        }
+
+        const versionColNumber = versionColName && this.getColNumber(versionColName);
+
+        if(versionColNumber && rowData[versionColNumber-1] === ''){
+          rowData[versionColNumber-1] = getNextVersion(undefined);
+          valuesToWriteBack.push([record, versionColName, rowData[versionColNumber-1]]);
+        }
+
+        this.assertUniqueIndexes(rowData, undefined, pendingKeys);
         valuesToAppend.push(rowData);
+
+        /** @type {SavedRecord} */
+        const savedRecord = {
+          changedColumns: this.headerRowData.filter((colName, index) => colName && rowData[index] !== ''),
+          record,
+          rowNumber: undefined,
+        };
+
+        result.inserted.push(savedRecord);
+
+        if (this.audit) {
+          auditEntries.push({
+            action: 'insert',
+            changes: savedRecord.changedColumns.map((colName) => ({
+              colName,
+              newValue: rowData[this.getColNumber(colName)-1],
+              oldValue: '',
+            })),
+            reason: options.reason,
+            rowData,
+            savedRecord,
+            timestamp,
+          });
+        }
         return;
       }
 
       ({rowNumber} = oldRowObject);
 
+      applySchemaRules(rowObject, false);
+      assertReferencesExist(rowObject);
+
       let dataChanged = false;
 
-      rowData = this.data[rowNumber-1];
+      /** @type {string[]} */
+      const changedColumns = [];
+
+      /** @type {any[]} */
+      const oldRowData = this.data[rowNumber-1];
+
+      //As alterações são feitas em uma cópia da linha, que só substitui
+      //a linha em cache depois de verificados os índices únicos
+      rowData = [...this.data[rowNumber-1]];
+
+      const colNamesToKeep = assertNoConflicts(rowNumber, rowObject);
+
+      if (colNamesToKeep.length) {
+        mergedRowObjects[rowNumber] = colNamesToKeep.reduce((obj, colName) => {
+          obj[colName] = rowObject[colName];
+          return obj;
+        }, {});
+      }
 
       Object.entries(rowObject).forEach(([colName, newValue]) => {
         const colNumber = this.getColNumber(colName);
@@ -1006,19 +4013,28 @@ export default class SSheet {
         if([undefined, null].includes(newValue))
           newValue = '';
 
+        if (colNamesToKeep.includes(colName) || colName === versionColName) return;
+
         if (colNumber && (!readOnlyKeys.includes(colName) || oldValue === undefined)) {
-          const valueHasChanged =
-            newValue instanceof Date && oldValue instanceof Date
+          const column = schema[colName];
+
+          //Com o esquema, "10" e 10 ou uma data e seu texto não são considerados alterações
+          const valueHasChanged = column
+            ? valuesDiffer(newValue, coerceOldValue(oldValue, column))
+            : newValue instanceof Date && oldValue instanceof Date
               ? !isSameMinute(newValue, oldValue)
               : newValue !== oldValue;
 
           if (valueHasChanged) {
             if (primaryKey.includes(colName)) {
-              throw (
-                `Ops! Erro ao chamar "${this.className}.save()":\n` +
-                `Você não pode alterar o valor da coluna "${colName}" de ` +
-                `"${oldValue}" para "${newValue}" porque ela faz parte da chave primária.`
-              );
+              throw new PrimaryKeyViolationError('PRIMARY_KEY_CHANGE', {
+                className: this.className,
+                column: colName,
+                method: 'save()',
+                oldValue,
+                rowNumber,
+                value: newValue,
+              });
             }
             if(!minCol || minCol > colNumber)
               minCol = colNumber;
@@ -1027,14 +4043,61 @@ export default class SSheet {
               maxCol = colNumber;
 
             rowData[colNumber-1] = newValue;
+            changedColumns.push(colName);
             dataChanged = true;
           }
         }
       });
 
       if(dataChanged){
+        const versionColNumber = versionColName && this.getColNumber(versionColName);
+
+        if(versionColNumber){
+          rowData[versionColNumber-1] = getNextVersion(rowData[versionColNumber-1]);
+          valuesToWriteBack.push([record, versionColName, rowData[versionColNumber-1]]);
+          changedColumns.push(versionColName);
+
+          if(!minCol || minCol > versionColNumber)
+            minCol = versionColNumber;
+
+          if(!maxCol || maxCol < versionColNumber)
+            maxCol = versionColNumber;
+        }
+
+        this.assertUniqueIndexes(rowData, rowNumber, pendingKeys);
+
+        //Durante uma transação, guarda a linha original para
+        //que ela possa ser restaurada por SSheet.rollback()
+        const { _transaction: transaction } = this;
+
+        if(transaction && rowNumber <= transaction.lastRow && !transaction.backup[rowNumber]){
+          transaction.backup[rowNumber] = this.data[rowNumber-1];
+        }
+
+        if (!(rowNumber in previousRows)) previousRows[rowNumber] = this.data[rowNumber-1];
+
+        this.cacheRowData({rowNumber, rowData});
         mapOfRowsToUpdate[rowNumber] = rowData;
       }
+
+      /** @type {SavedRecord} */
+      const savedRecord = { changedColumns, record, rowNumber };
+
+      result[dataChanged ? 'updated' : 'unchanged'].push(savedRecord);
+
+      if (this.audit && dataChanged) {
+        auditEntries.push({
+          action: 'update',
+          changes: changedColumns.map((colName) => {
+            const colNumber = this.getColNumber(colName);
+            return { colName, newValue: rowData[colNumber-1], oldValue: oldRowData[colNumber-1] };
+          }),
+          reason: options.reason,
+          rowData,
+          savedRecord,
+          timestamp,
+        });
+      }
     }
 
     //IMPORTANTE! Se o parâmetro "data" for um array de objetos do tipo Model,
@@ -1051,12 +4114,20 @@ export default class SSheet {
 
     //IMPORTANTE! Pega valores atualizados para evitar que
     //dados sejam gravados em linhas ou colunas erradas caso
-    //tenham sido inseridas ou excluídas linhas ou colunas
-    if(!lastRefreshInCache || differenceInSeconds(new Date(), lastRefreshInCache) >= 60){
+    //tenham sido inseridas ou excluídas linhas ou colunas.
+    //Durante uma transação, o cache é a única cópia das alterações.
+    //Com o controle de concorrência ou com o bloqueio, as linhas são sempre relidas,
+    //assim como quando o intervalo nomeado mudou de posição.
+    if(!this.isInTransaction() && (concurrencyControl || this._lock || this.hasRangeMoved())){
       this.clearCache();
+    } else {
+      this.refreshStaleCache();
     }
 
-    if(mustSetAllValuesAtOnce && !this.isCacheCompleted()){
+    //Os índices únicos só podem ser verificados com o cache completo
+    const hasUniqueIndexes = this._indexes.some(({ unique }) => unique);
+
+    if((mustSetAllValuesAtOnce || hasUniqueIndexes) && !this.isCacheCompleted()){
       this.cacheAllData();
     }
 
@@ -1064,73 +4135,427 @@ export default class SSheet {
     //que o resultado de SSheet.read() seja um rowObject, e não um model
     this.columnMap = null;
 
-    data.forEach((/** @type {RowObject} */ newRowObject) => {
-      updateCachedRowData(newRowObject);
+    try {
+      data.forEach((/** @type {RowObject} */ newRowObject, index) => {
+        updateCachedRowData(newRowObject, records[index]);
+      });
+
+      //Sem espaço para as linhas inseridas, nada é gravado
+      if (!this.isInTransaction()) this.assertRoomForRows(valuesToAppend.length, this.lastRow);
+    } catch (e) {
+      //Fora de uma transação, descarta as alterações já aplicadas ao cache. Durante
+      //uma transação, o cache tem as alterações anteriores, que ainda não foram gravadas:
+      //só as linhas alteradas por esta chamada são restauradas
+      if (!this.isInTransaction()) {
+        this.clearCache();
+      } else {
+        Object.entries(previousRows).forEach(([rowNumber, rowData]) => {
+          this._data[parseInt(rowNumber)-1] = rowData;
+        });
+        this.rebuildIndexes();
+      }
+      this.columnMap = columnMap;
+      throw e;
+    }
+
+    /**
+     * Copia os valores gerados (chaves e versões) e os números das linhas para
+     * os objetos recebidos e atualiza as cópias das linhas gravadas, para que
+     * possam ser salvos novamente sem conflito.
+     * @param {number} [firstAppendedRow]
+     */
+    const updateSavedRecords = (firstAppendedRow) => {
+      result.inserted.forEach((savedRecord, index) => {
+        savedRecord.rowNumber = firstAppendedRow + index;
+      });
+
+      [...result.inserted, ...result.updated, ...result.unchanged].forEach((savedRecord) => {
+        const { record, rowNumber } = savedRecord;
+
+        //Com o número da linha, o Model pode ser atualizado por SSheet.save()
+        if (entity && record instanceof entity) {
+          record.rowNumber = rowNumber;
+          if (!Model.isObservable(record)) savedRecord.record = record.makeObservable();
+        }
+      });
+
+      valuesToWriteBack.forEach(([record, colName, value]) => {
+        const key = entity && columnMap
+          ? Object.keys(columnMap).find((key) => columnMap[key] === colName)
+          : colName;
+
+        if (key) record[key] = value;
+      });
+
+      if (!concurrencyControl) return;
+
+      //A cópia passa a refletir o que o chamador conhece da linha: os valores
+      //gravados e, no modo "merge", os valores das colunas que não foram gravadas
+      Object.entries(mapOfRowsToUpdate).forEach(([rowNumber, rowData]) => {
+        const snapshot = [...rowData];
+        const { [rowNumber]: mergedRowObject = {} } = mergedRowObjects;
+
+        Object.entries(mergedRowObject).forEach(([colName, value]) => {
+          const colNumber = this.getColNumber(colName);
+          if (colNumber) snapshot[colNumber-1] = [undefined, null].includes(value) ? '' : value;
+        });
+        this._snapshots[rowNumber] = snapshot;
+      });
+    };
+
+    if (this.isInTransaction()) {
+      const { _transaction: transaction } = this;
+
+      const firstAppendedRow = this.lastRow + 1;
+
+      valuesToAppend.forEach((rowData) => {
+        const rowNumber = this.lastRow + 1;
+        this._lastRow = rowNumber;
+        this.cacheRowData({rowNumber, rowData});
+      });
+
+      Object.keys(mapOfRowsToUpdate).forEach((rowNumber) => {
+        //Linhas inseridas durante a transação serão gravadas junto com as demais inserções
+        if(parseInt(rowNumber) <= transaction.lastRow){
+          transaction.rowsToUpdate[rowNumber] = true;
+        }
+      });
+
+      if(minCol && (!transaction.minCol || transaction.minCol > minCol))
+        transaction.minCol = minCol;
+
+      if(maxCol && (!transaction.maxCol || transaction.maxCol < maxCol))
+        transaction.maxCol = maxCol;
+
+      updateSavedRecords(firstAppendedRow);
+      transaction.inserted.push(...result.inserted);
+      transaction.audit.push(...auditEntries);
+
+      //Redefine o columnMap
+      this.columnMap = columnMap;
+      return result;
+    }
+
+    //As linhas atualizadas já estão no cache. As inseridas só podem ser
+    //adicionadas a ele se estiver completo e ninguém tiver inserido linhas
+    const lastRowBeforeAppend = this.isCacheCompleted() ? this.lastRow : undefined;
+
+    let firstAppendedRow;
+    let canKeepCache;
+
+    //Uma falha durante a gravação pode ter gravado parte das alterações: o cache é descartado
+    try {
+      firstAppendedRow = this.writeChanges({
+        mapOfRowsToUpdate,
+        maxCol,
+        minCol,
+        mustSetAllValuesAtOnce,
+        valuesToAppend,
+      });
+
+      if (result.inserted.length || result.updated.length) this.invalidateSharedCache();
+
+      //Os valores das colunas com fórmula MAP são calculados pela planilha
+      canKeepCache = !this.columnsWithMapFormula.length
+        && (!valuesToAppend.length || firstAppendedRow === lastRowBeforeAppend + 1);
+
+      if (canKeepCache) {
+        this.rereadConvertedRows({
+          ...mapOfRowsToUpdate,
+          ...valuesToAppend.reduce((obj, rowData, index) => {
+            obj[firstAppendedRow + index] = rowData;
+            return obj;
+          }, {}),
+        });
+      }
+
+      updateSavedRecords(firstAppendedRow);
+      this.writeAuditEntries(auditEntries);
+    } catch (e) {
+      this.clearCache();
+      this.invalidateSharedCache();
+      throw e;
+    } finally {
+      //Redefine o columnMap
+      this.columnMap = columnMap;
+    }
+
+    if (!canKeepCache) {
+      this.clearCache();
+      return result;
+    }
+
+    valuesToAppend.forEach((rowData, index) => {
+      const rowNumber = firstAppendedRow + index;
+      this._lastRow = rowNumber;
+      this.cacheRowData({ rowNumber, rowData });
     });
+    this.updateFingerprint();
 
-    if (!this.isInTransaction()) {
-      /**
-       * @param {number} row
-       * @param {number} column
-       * @param {any[][]} values
-       */
-      const safelySetValues = (row, column, values) => {
-        values = values.map((rowData) => {
-          return rowData.map((value, index) => {
-            const colName = this.getColNameByColNumber(column + index);
-            return this.columnsWithMapFormula.includes(colName) ? '' : value;
-          });
-        })
-        const range = sheet.getRange(row, column, values.length, values[0].length);
-        range.setValues(values);
+    return result;
+  }
+
+  /**
+   * Relê as linhas gravadas com valores que a planilha pode ter convertido, como
+   * fórmulas e textos numéricos, para que o cache tenha os valores das células.
+   * As linhas são alteradas no próprio array, que pode já estar no cache.
+   * @param {Object<number, any[]>} rowsByNumber - As linhas gravadas, pelo número da linha.
+   * @returns {void}
+   * @private
+   */
+  rereadConvertedRows(rowsByNumber) {
+    const { adapter, lastColumn, region } = this;
+
+    const rowNumbers = Object.keys(rowsByNumber)
+      .map((key) => parseInt(key))
+      .filter((rowNumber) => rowsByNumber[rowNumber].some(mayBeConvertedBySheet))
+      .sort((a, b) => a - b);
+
+    groupConsecutiveNumbers(rowNumbers).forEach((group) => {
+      const values = adapter.getValues(group[0], region.startColumn, group.length, lastColumn);
+
+      group.forEach((rowNumber, index) => {
+        const rowData = rowsByNumber[rowNumber];
+
+        rowData.splice(0, rowData.length, ...values[index]);
+        if (this.data[rowNumber-1] === rowData) this.cacheRowData({ rowNumber, rowData });
+      });
+    });
+  }
+
+  /**
+   * Grava o nome de uma coluna no cabeçalho. Com várias linhas de cabeçalho, o nome
+   * é dividido pelo separador e só as partes diferentes das atuais são gravadas,
+   * para não sobrescrever as células mescladas dos grupos.
+   * @param {string} methodName
+   * @param {number} colNumber - O número da coluna na região.
+   * @param {string} colName
+   * @returns {void}
+   * @private
+   */
+  setHeaderCell(methodName, colNumber, colName) {
+    const { adapter, className, headerRow, lastColumn, region } = this;
+    const { endColumn, headerRows, headerSeparator, startColumn } = region;
+
+    const parts = headerRows === 1 ? [colName] : colName.split(headerSeparator);
+
+    if ((endColumn && colNumber > endColumn - startColumn + 1) || parts.length > headerRows) {
+      throw new ValidationError(parts.length > headerRows ? 'HEADER_NAME_TOO_LONG' : 'NO_ROOM_FOR_COLUMN', {
+        className,
+        column: colName,
+        endColumn,
+        headerRows,
+        method: `${methodName}()`,
+      });
+    }
+
+    if (headerRows === 1) {
+      adapter.setValues(headerRow, this.getSheetColumn(colNumber), [[colName]]);
+      return;
+    }
+
+    //Um nome com menos partes ocupa as linhas de cima, ex.: "ID" sobre uma célula vazia
+    while (parts.length < headerRows) parts.push('');
+
+    const firstHeaderRow = headerRow - headerRows + 1;
+    const rows = adapter.getValues(firstHeaderRow, startColumn, headerRows, Math.max(lastColumn, colNumber));
+    const currentParts = getHeaderParts(rows)[colNumber - 1];
+
+    parts.forEach((part, index) => {
+      if (part !== currentParts[index]) {
+        adapter.setValues(firstHeaderRow + index, this.getSheetColumn(colNumber), [[part]]);
       }
+    });
+  }
+
+  /**
+   * Grava objetos simples, com os nomes das colunas na planilha, mesmo que o entity esteja definido.
+   * @param {RowObject[]} rowObjects
+   * @param {SaveOptions} [options]
+   * @returns {SaveResult}
+   * @private
+   */
+  saveRowObjects(rowObjects, options = {}) {
+    const { entity } = this;
+
+    //É necessário limpar o entity temporariamente para que
+    //SSheet.save() aceite objetos simples
+    this.entity = undefined;
+    try {
+      return this.save(rowObjects, options);
+    } finally {
+      this.entity = entity;
+    }
+  }
+
+  /**
+   * Insere na tabela de auditoria os registros das alterações gravadas.
+   * @param {AuditEntry[]} entries
+   * @returns {void}
+   * @private
+   */
+  writeAuditEntries(entries) {
+    const { audit, primaryKey, sheetName } = this;
+
+    if (!audit || !entries.length) return;
+
+    const { mode = 'cell', sheet: auditSheet, user = getActiveUserEmail } = audit;
+    const userEmail = typeof user === 'function' ? user() : user;
+
+    /**
+     * @param {any} value
+     * @returns {any}
+     */
+    const toAuditValue = (value) => isDate(value) ? value.toISOString() : value;
+
+    const rowObjects = entries.flatMap(({ action, changes, reason = '', rowData, savedRecord, timestamp }) => {
+      const key = primaryKey
+        .map((colName) => colName === 'rowNumber' ? savedRecord.rowNumber : rowData[this.getColNumber(colName)-1])
+        .join('&');
 
-      if (valuesToAppend.length) {
-        this._lastRow = null;
-        safelySetValues(this.lastRow + 1, 1, valuesToAppend);
+      const base = { Action: action, Key: key, Reason: reason, Sheet: sheetName, Timestamp: timestamp, User: userEmail };
+
+      if (mode === 'row') {
+        const toJSON = (/** @type {string} */ prop) => JSON.stringify(changes.reduce((obj, change) => {
+          obj[change.colName] = toAuditValue(change[prop]);
+          return obj;
+        }, {}));
+
+        return [{
+          ...base,
+          Column: changes.map(({ colName }) => colName).join(', '),
+          NewValue: toJSON('newValue'),
+          OldValue: action === 'insert' ? '' : toJSON('oldValue'),
+        }];
       }
 
-      const rowsToUpdate = Object.keys(mapOfRowsToUpdate).map(key => parseInt(key));
+      return changes.map(({ colName, newValue, oldValue }) => ({
+        ...base,
+        Column: colName,
+        NewValue: newValue,
+        OldValue: oldValue,
+      }));
+    });
+
+    this.withSharedLock(auditSheet, () => {
+      auditSheet.ensureColumns(AUDIT_COLUMNS);
+      auditSheet.appendRowObjects(rowObjects);
+    });
+  }
+
+  /**
+   * Insere os objetos no fim da tabela sem procurar por linhas existentes, como
+   * em tabelas que só recebem inserções.
+   * @param {RowObject[]} rowObjects - Com os nomes das colunas na planilha.
+   * @returns {void}
+   * @private
+   */
+  appendRowObjects(rowObjects) {
+    if (this.locking && !this._lock) {
+      return this.withLock(() => this.appendRowObjects(rowObjects));
+    }
 
-      if(!mustSetAllValuesAtOnce){
-        let lastRow;
-        let currentArr = [];
-        let size = rowsToUpdate.length;
+    this.writeChanges({
+      mapOfRowsToUpdate: {},
+      maxCol: undefined,
+      minCol: undefined,
+      mustSetAllValuesAtOnce: false,
+      valuesToAppend: rowObjects.map((rowObject) => this.getRowDataByRowObject(rowObject)),
+    });
 
-        rowsToUpdate.reduce((arr, currentRow, index) => {
-          const isLastItem = index == size - 1;
+    this.clearCache();
+    this.invalidateSharedCache();
+  }
 
-          if(!lastRow || lastRow == currentRow -1){
-            currentArr.push(currentRow);
-          }else{
-            arr.push(currentArr);
-            currentArr = [currentRow];
-          }
-          if(isLastItem){
-            arr.push(currentArr);
-          }
-          lastRow = currentRow;
-          return arr;
-        }, []).forEach((arr) => {
-          const row = arr[0];
-          const values = arr.map((/**@type {number} */ rowNumber) => mapOfRowsToUpdate[rowNumber].slice(minCol-1, maxCol));
-          safelySetValues(row, minCol, values);
-        });
-      }else{
-        const minRow = Math.min(...rowsToUpdate);
-        const maxRow = Math.max(...rowsToUpdate);
+  /**
+   * Grava na planilha os valores, substituindo por vazio as colunas com fórmula MAP.
+   * @param {number} row
+   * @param {number} column
+   * @param {any[][]} values
+   * @returns {void}
+   */
+  safelySetValues(row, column, values) {
+    values = values.map((rowData) => {
+      return rowData.map((value, index) => {
+        const colName = this.getColNameByColNumber(column + index);
+        return this.columnsWithMapFormula.includes(colName) ? '' : value;
+      });
+    });
+    this.adapter.setValues(row, this.getSheetColumn(column), values);
+  }
+
+  /**
+   * Lança um erro se não houver espaço na região para as linhas a serem inseridas
+   * e ela não puder ser expandida, como um intervalo nomeado.
+   * @param {number} count - A quantidade de linhas a serem inseridas.
+   * @param {number} lastRow - A última linha da tabela.
+   * @returns {void}
+   * @private
+   */
+  assertRoomForRows(count, lastRow) {
+    const { adapter, className, rangeName, region: { endRow } } = this;
+
+    if (!count || !endRow || lastRow + count <= endRow) return;
+
+    if (!rangeName) {
+      throw new SSheetError('NO_ROOM_FOR_ROWS', { className, count, endRow, method: 'save()' });
+    }
+    if (!adapter.insertCells || !adapter.setNamedRange) {
+      throw new SSheetError('NAMED_RANGE_NOT_EXPANDABLE', { className, method: 'save()', rangeName });
+    }
+  }
+
+  /**
+   * Grava na planilha as linhas a serem inseridas e atualizadas, agrupando
+   * as linhas contíguas para reduzir a quantidade de chamadas a setValues().
+   * @param {object} param0
+   * @param {any[][]} param0.valuesToAppend
+   * @param {Object<string,any[]>} param0.mapOfRowsToUpdate
+   * @param {number} param0.minCol
+   * @param {number} param0.maxCol
+   * @param {boolean} param0.mustSetAllValuesAtOnce
+   * @returns {number|undefined} O número da primeira linha inserida, se houver.
+   */
+  writeChanges({ mapOfRowsToUpdate, maxCol, minCol, mustSetAllValuesAtOnce, valuesToAppend }) {
+    let firstAppendedRow;
+
+    if (valuesToAppend.length) {
+      this._lastRow = null;
+      firstAppendedRow = this.lastRow + 1;
 
-        const values = this.data.slice(minRow-1, maxRow)
-          .map((rowData) => rowData.slice(minCol-1, maxCol));
+      const { endRow } = this.region;
+      const lastAppendedRow = firstAppendedRow + valuesToAppend.length - 1;
 
-        safelySetValues(minRow, minCol, values);
+      this.assertRoomForRows(valuesToAppend.length, firstAppendedRow - 1);
+
+      if (endRow && lastAppendedRow > endRow) {
+        this.expandNamedRange(lastAppendedRow - endRow);
       }
+      this.safelySetValues(firstAppendedRow, 1, valuesToAppend);
+    }
+
+    const rowsToUpdate = Object.keys(mapOfRowsToUpdate)
+      .map(key => parseInt(key))
+      .sort((a, b) => a - b);
+
+    if(!rowsToUpdate.length) return firstAppendedRow;
+
+    if(!mustSetAllValuesAtOnce){
+      groupConsecutiveNumbers(rowsToUpdate).forEach((arr) => {
+        const row = arr[0];
+        const values = arr.map((/**@type {number} */ rowNumber) => mapOfRowsToUpdate[rowNumber].slice(minCol-1, maxCol));
+        this.safelySetValues(row, minCol, values);
+      });
     }else{
-      //necessário implementação
+      const minRow = rowsToUpdate[0];
+      const maxRow = rowsToUpdate[rowsToUpdate.length - 1];
+
+      const values = this.data.slice(minRow-1, maxRow)
+        .map((rowData) => rowData.slice(minCol-1, maxCol));
+
+      this.safelySetValues(minRow, minCol, values);
     }
-    //Redefine o columnMap
-    this.columnMap = columnMap;
-    this.clearCache();
+    return firstAppendedRow;
   }
 
   /**
@@ -1152,7 +4577,7 @@ export default class SSheet {
    * @returns {SSheet}
    */
   setRangeVal(rangeA1, value) {
-    this.getRange(rangeA1).setValue(value);
+    this.callService('setValue', () => this.getRange(rangeA1).setValue(value));
     return this;
   }
 
@@ -1160,101 +4585,121 @@ export default class SSheet {
    * @returns {void}
    */
   show() {
-    this.sheet.showSheet().activate();
+    const sheet = this.getAppsScriptSheet('show()');
+    this.callService('showSheet', () => sheet.showSheet().activate());
   }
 
   /**
-   * @param {string} ssId
-   * @param {number} tries
-   * @returns {Spreadsheet}
+   * Divide os valores de uma coluna em outras colunas, criadas se não existirem.
+   * A coluna de origem é mantida.
+   * Ex.: sheet.splitColumn('Nome', ['Nome', 'Sobrenome'], (nome) => nome.split(' '))
+   * @param {string} from - O nome da coluna de origem.
+   * @param {string[]} to - Os nomes das colunas de destino. Pode incluir a coluna de origem.
+   * @param {(value: any, rowObject: RowObject) => any[]} split - Retorna um valor para cada coluna de destino.
+   * @returns {number} A quantidade de linhas alteradas.
+   */
+  splitColumn(from, to, split) {
+    this.assertColumnsExist('splitColumn', [from]);
+    this.ensureColumns([...this.headerRowData.filter(Boolean), ...to]);
+
+    const rowObjects = this.findRowObjects({}, null, Infinity)
+      .filter((rowObject) => !isEmptyValue(rowObject[from]))
+      .map((rowObject) => {
+        const values = split(rowObject[from], rowObject) || [];
+
+        return to.reduce((obj, colName, index) => {
+          obj[colName] = values[index];
+          return obj;
+        }, { rowNumber: rowObject.rowNumber });
+      });
+
+    return this.saveRowObjects(rowObjects).updated.length;
+  }
+
+  /**
+   * Executa a função com o bloqueio do LockService, se "locking" estiver definido.
+   * O bloqueio é reentrante: chamadas aninhadas usam o bloqueio já obtido.
+   * @template T
+   * @param {() => T} fn
+   * @param {Locking} [locking]
+   * @returns {T}
    */
-  static safelyOpenSpreadsheetById(ssId, tries = 0) {
+  withLock(fn, locking = this.locking) {
+    const { className } = this;
+
+    if (!locking || this._lock) return fn();
+
+    const {
+      lockService = LockService,
+      retries = 2,
+      scope = 'script',
+      timeout = 10000,
+    } = locking;
+
+    const lock = scope === 'document'
+      ? lockService.getDocumentLock()
+      : scope === 'user'
+        ? lockService.getUserLock()
+        : lockService.getScriptLock();
+
+    if (!lock) {
+      throw new SSheetError('LOCK_UNAVAILABLE', { className, method: 'withLock()', scope });
+    }
+
+    let acquired = false;
+
+    for (let tries = 0; tries <= retries && !acquired; tries++) {
+      acquired = lock.tryLock(timeout);
+    }
+
+    if (!acquired) {
+      throw new SSheetError('LOCK_TIMEOUT', { attempts: retries + 1, className, method: 'withLock()', timeout });
+    }
+
+    this._lock = lock;
+
     try {
-      return SpreadsheetApp.openById(ssId);
-    } catch (e) {
-      if (++tries <= 10) {
-        Utilities.sleep(Math.pow(2, tries - 1) * 100);
-        return SSheet.safelyOpenSpreadsheetById(ssId, tries);
-      } else {
-        const msg = `Não foi possível abrir a Spreadsheet com ID '${ssId}' após 10 tentativas`;
-        console.error(`${msg}. Erro:\n${e}`);
-        throw `Ops! ${msg}`;
-      }
+      //IMPORTANTE! Outra execução pode ter inserido linhas enquanto
+      //aguardávamos o bloqueio
+      this._lastRow = undefined;
+      return fn();
+    } finally {
+      //As gravações pendentes precisam ser aplicadas antes de liberar o bloqueio
+      this.adapter.flush();
+      this._lock = undefined;
+      lock.releaseLock();
     }
   }
 
+  /**
+   * @param {string} ssId
+   * @param {RetryPolicy} [retryPolicy] - Padrão: a política definida com setRetryPolicy().
+   * @returns {Spreadsheet}
+   */
+  static safelyOpenSpreadsheetById(ssId, retryPolicy = undefined) {
+    return safelyOpenSpreadsheetById(ssId, retryPolicy);
+  }
+
   /**
    *
    * @param {Spreadsheet} ss
    * @param {string} sheetName
-   * @param {number} tries
+   * @param {RetryPolicy} [retryPolicy] - Padrão: a política definida com setRetryPolicy().
    * @returns {Sheet}
    */
-  static safelyGetSheetByName(ss, sheetName, tries = 0) {
-    tries++;
-    try {
-      return ss.getSheetByName(sheetName);
-    } catch (e) {
-      if (tries <= 10) {
-        Utilities.sleep(Math.pow(2, tries - 1) * 100);
-
-        return SSheet.safelyGetSheetByName(ss, sheetName, tries);
-      } else {
-        const msg = `Não foi possível abrir a planilha com nome '${sheetName}' após 10 tentativas`;
-        console.error(`${msg}. Erro:\n${e}`);
-        throw `Ops! ${msg}`;
-      }
-    }
+  static safelyGetSheetByName(ss, sheetName, retryPolicy = undefined) {
+    return safelyGetSheetByName(ss, sheetName, retryPolicy);
   }
 
   /**
    * Cria um arquivo PDF com o conteúdo de uma planilha.
    * @param {string} fileName O nome do arquivo que será criado
+   * @param {Sheet} sheet
+   * @param {string} ssId
+   * @param {RetryPolicy} [retryPolicy] - Usada na exportação. Padrão: a política definida com setRetryPolicy().
    * @returns {File} O arquivo PDF criado
    */
-  static getPDFFromSheet(fileName, sheet, ssId) {
-    SpreadsheetApp.flush();
-
-    const sheetIsHidden = sheet.isSheetHidden();
-
-    //Se a planilha estava oculta, é necessário mostrá-la para gerar o PDF
-    sheet.showSheet().activate();
-
-    const ss = sheet.getParent();
-
-    const parents = DriveApp.getFileById(ssId).getParents();
-    const folder = parents.hasNext()
-      ? parents.next()
-      : DriveApp.getRootFolder();
-
-    const url = ss.getUrl();
-
-    const exportUrl =
-      url.replace(/\/edit.*$/, '') +
-      '/export?exportFormat=pdf&format=pdf' +
-      '&size=A4' +
-      '&portrait=true' +
-      '&fitw=true' +
-      '&top_margin=0.75' +
-      '&bottom_margin=0.75' +
-      '&left_margin=0.7' +
-      '&right_margin=0.7' +
-      '&sheetnames=false&printtitle=false' +
-      '&pagenum=false' +
-      '&gridlines=true' +
-      '&fzr=FALSE' +
-      '&gid=' +
-      sheet.getSheetId();
-
-    const response = UrlFetchApp.fetch(exportUrl, {
-      headers: {
-        Authorization: 'Bearer ' + ScriptApp.getOAuthToken(),
-      },
-    });
-    const blob = response.getBlob();
-
-    if (sheetIsHidden) sheet.hideSheet();
-
-    return folder.createFile(blob.setName(fileName));
+  static getPDFFromSheet(fileName, sheet, ssId, retryPolicy = undefined) {
+    return getPDFFromSheet(fileName, sheet, ssId, retryPolicy);
   }
 }
@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import SSheet, { MemoryAdapter } from '../ssheet.js';
+
+const createAdapter = () => new MemoryAdapter({
+  namedRanges: { Clientes: { column: 1, numColumns: 3, numRows: 3, row: 1 } },
+  values: [
+    ['id', 'nome', 'idade'],
+    [1, 'Ana', 30],
+    [2, 'Bruno', 25],
+  ],
+});
+
+describe('MemoryAdapter', () => {
+  it('lê e grava valores, completando as células vazias', () => {
+    const adapter = createAdapter();
+
+    adapter.setValues(4, 2, [['Caio']]);
+
+    assert.deepEqual(adapter.getValues(2, 1, 3, 3), [[1, 'Ana', 30], [2, 'Bruno', 25], ['', 'Caio', '']]);
+    assert.equal(adapter.getLastRow(), 4);
+    assert.equal(adapter.getLastColumn(), 3);
+  });
+
+  it('não expõe os valores internos', () => {
+    const values = [['id'], [1]];
+    const adapter = new MemoryAdapter({ values });
+
+    values[1][0] = 9;
+    adapter.values[1][0] = 9;
+
+    assert.deepEqual(adapter.getValues(2, 1, 1, 1), [[1]]);
+  });
+
+  it('desloca os intervalos nomeados ao inserir e excluir linhas', () => {
+    const adapter = createAdapter();
+
+    adapter.insertRowsAfter(1, 2);
+    assert.deepEqual(adapter.getNamedRange('Clientes'), { column: 1, numColumns: 3, numRows: 5, row: 1 });
+
+    adapter.deleteRows(2, 3);
+    assert.deepEqual(adapter.getNamedRange('Clientes'), { column: 1, numColumns: 3, numRows: 2, row: 1 });
+    assert.deepEqual(adapter.getValues(2, 1, 1, 3), [[2, 'Bruno', 25]]);
+  });
+
+  it('insere e exclui células deslocando as de baixo', () => {
+    const adapter = createAdapter();
+
+    adapter.insertCells(2, 1, 1, 3);
+    assert.deepEqual(adapter.getValues(2, 1, 3, 3), [['', '', ''], [1, 'Ana', 30], [2, 'Bruno', 25]]);
+    assert.equal(adapter.getNamedRange('Clientes').numRows, 4);
+
+    adapter.deleteCells(2, 1, 1, 3);
+    assert.deepEqual(adapter.getValues(2, 1, 2, 3), [[1, 'Ana', 30], [2, 'Bruno', 25]]);
+    assert.equal(adapter.getNamedRange('Clientes').numRows, 3);
+  });
+});
+
+describe('SSheet com MemoryAdapter', () => {
+  it('cria, lê, atualiza e exclui registros', () => {
+    const adapter = createAdapter();
+    const sheet = new SSheet({ adapter, primaryKey: 'id' });
+
+    const { inserted, updated } = sheet.save([{ id: 3, idade: 41, nome: 'Caio' }, { id: 2, idade: 26 }]);
+
+    assert.equal(inserted.length, 1);
+    assert.equal(updated.length, 1);
+    assert.deepEqual(sheet.read({ id: 3 }).map(({ nome }) => nome), ['Caio']);
+    assert.deepEqual(sheet.read({ idade: { $gt: 28 } }).map(({ id }) => id), [1, 3]);
+
+    sheet.delete({ id: 1 });
+
+    assert.deepEqual(sheet.read({}).map(({ id }) => id), [2, 3]);
+    assert.deepEqual(adapter.values, [
+      ['id', 'nome', 'idade'],
+      [2, 'Bruno', 26],
+      [3, 'Caio', 41],
+    ]);
+  });
+});
@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import SSheet, { SheetsApiAdapter } from '../ssheet.js';
+
+const BASE_URL = 'https://sheets.test/v4/spreadsheets';
+
+/**
+ * Um fetch() que responde como a API do Google Sheets e registra as requisições.
+ * @param {{status?: (method: string, url: string) => number}} [options]
+ */
+const createFetch = ({ status = () => 200 } = {}) => {
+  const requests = [];
+
+  const fetch = async (url, { body, headers, method }) => {
+    const { pathname, searchParams } = new URL(url);
+
+    requests.push({ body: body && JSON.parse(body), headers, method, pathname, searchParams });
+
+    const respond = (json, responseStatus = status(method, pathname)) => ({
+      json: async () => json,
+      ok: responseStatus < 400,
+      status: responseStatus,
+      text: async () => JSON.stringify(json),
+    });
+
+    if (pathname.endsWith('/values:batchGet')) {
+      const formulas = searchParams.get('valueRenderOption') === 'FORMULA';
+
+      return respond({
+        valueRanges: [{
+          values: [
+            ['ID', 'Nome', 'Criado em', 'Dobro'],
+            [1, 'Ana', 45292.5, formulas ? '=A2*2' : 2],
+            [2, 'Bruno', 45293, formulas ? '=A3*2' : 4],
+          ],
+        }],
+      });
+    }
+    if (searchParams.has('ranges')) {
+      const date = { effectiveFormat: { numberFormat: { type: 'DATE_TIME' } } };
+      return respond({ sheets: [{ data: [{ rowData: [{}, { values: [{}, {}, date] }, { values: [{}, {}, date] }] }] }] });
+    }
+    if (searchParams.has('fields')) {
+      return respond({
+        namedRanges: [{ name: 'Pessoas', namedRangeId: 'nr1', range: { endColumnIndex: 4, sheetId: 7 } }],
+        sheets: [{ properties: { gridProperties: { columnCount: 26, rowCount: 1000 }, sheetId: 7, title: 'Pessoas' } }],
+      });
+    }
+    return respond({});
+  };
+
+  return { fetch, requests };
+};
+
+const createAdapter = (fetch) => new SheetsApiAdapter({ baseUrl: BASE_URL, fetch, sheetName: 'Pessoas', ssId: 'abc', token: async () => 'tok' });
+
+describe('SheetsApiAdapter.pull()', () => {
+  it('carrega os valores, as fórmulas, as datas e os intervalos nomeados', async () => {
+    const { fetch, requests } = createFetch();
+    const adapter = createAdapter(fetch);
+
+    await adapter.pull();
+
+    assert.deepEqual(adapter.getValues(2, 1, 1, 2), [[1, 'Ana']]);
+    assert.deepEqual(adapter.getValues(2, 3, 1, 1), [[new Date(2024, 0, 1, 12)]]);
+    assert.deepEqual(adapter.getFormulas(2, 1, 2, 4), [['', '', '', '=A2*2'], ['', '', '', '=A3*2']]);
+    assert.deepEqual(adapter.getNamedRange('Pessoas'), { column: 1, numColumns: 4, numRows: 1000, row: 1 });
+    assert.equal(adapter.hasPendingOperations, false);
+    assert.ok(requests.every(({ headers }) => headers.Authorization === 'Bearer tok'));
+  });
+
+  it('lança SpreadsheetUnavailableError se a aba não existir', async () => {
+    const { fetch } = createFetch();
+    const adapter = new SheetsApiAdapter({ baseUrl: BASE_URL, fetch, sheetName: 'Outra', ssId: 'abc', token: 'tok' });
+
+    await assert.rejects(adapter.pull(), { code: 'SHEET_NOT_FOUND', name: 'SpreadsheetUnavailableError' });
+  });
+});
+
+describe('SheetsApiAdapter.push()', () => {
+  it('envia as gravações feitas por SSheet em lotes, na ordem', async () => {
+    const { fetch, requests } = createFetch();
+    const adapter = createAdapter(fetch);
+
+    await adapter.pull();
+
+    const sheet = new SSheet({ adapter, primaryKey: 'ID' });
+
+    sheet.save([{ ID: 2, Nome: 'Bia' }, { ID: 3, Nome: '=HACK()' }]);
+    sheet.delete({ ID: 1 });
+
+    assert.equal(adapter.hasPendingOperations, true);
+
+    const sent = requests.length;
+
+    await adapter.push();
+
+    const posts = requests.slice(sent);
+
+    assert.deepEqual(posts.map(({ method, pathname }) => `${method} ${pathname}`), [
+      'POST /v4/spreadsheets/abc/values:batchUpdate',
+      'POST /v4/spreadsheets/abc:batchUpdate',
+    ]);
+    assert.equal(posts[0].body.valueInputOption, 'RAW');
+    assert.deepEqual(posts[0].body.data.flatMap(({ values }) => values).flat().filter((value) => value === '=HACK()'), ['=HACK()']);
+    assert.deepEqual(posts[1].body.requests, [{
+      deleteDimension: { range: { dimension: 'ROWS', endIndex: 2, sheetId: 7, startIndex: 1 } },
+    }]);
+    assert.equal(adapter.hasPendingOperations, false);
+  });
+
+  it('mantém as gravações não enviadas quando uma requisição falha', async () => {
+    let failing = true;
+    const { fetch } = createFetch({ status: (method, pathname) => failing && pathname.endsWith(':batchUpdate') ? 403 : 200 });
+    const adapter = createAdapter(fetch);
+
+    await adapter.pull();
+    adapter.setValues(2, 2, [['Alice']]);
+    adapter.deleteRows(3, 1);
+
+    await assert.rejects(adapter.push(), { code: 'SHEETS_API_ERROR', context: { body: '{}', status: 403 } });
+    assert.equal(adapter.hasPendingOperations, true);
+
+    failing = false;
+    await adapter.push();
+
+    assert.equal(adapter.hasPendingOperations, false);
+  });
+});
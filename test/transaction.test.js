@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import SSheet, { MemoryAdapter } from '../ssheet.js';
+
+const createSheet = () => {
+  const adapter = new MemoryAdapter({
+    values: [
+      ['id', 'nome', 'valor'],
+      [1, 'a', 10],
+      [2, 'b', 20],
+    ],
+  });
+
+  return { adapter, sheet: new SSheet({ adapter, primaryKey: 'id' }) };
+};
+
+describe('SSheet.beginTransaction()', () => {
+  it('só grava na planilha em SSheet.commit()', () => {
+    const { adapter, sheet } = createSheet();
+    const before = adapter.values;
+
+    sheet.beginTransaction();
+    sheet.save([{ id: 2, valor: 21 }, { id: 3, nome: 'c', valor: 30 }]);
+
+    assert.deepEqual(adapter.values, before);
+    assert.equal(sheet.read({ id: 3 }).length, 1);
+
+    sheet.commit();
+
+    assert.deepEqual(adapter.values, [
+      ['id', 'nome', 'valor'],
+      [1, 'a', 10],
+      [2, 'b', 21],
+      [3, 'c', 30],
+    ]);
+  });
+
+  it('descarta as alterações em SSheet.rollback()', () => {
+    const { adapter, sheet } = createSheet();
+    const before = adapter.values;
+
+    sheet.beginTransaction();
+    sheet.save([{ id: 1, nome: 'z' }, { id: 9, nome: 'q' }]);
+    sheet.rollback();
+
+    assert.equal(sheet.isInTransaction(), false);
+    assert.deepEqual(sheet.read({}).map(({ id, nome }) => [id, nome]), [[1, 'a'], [2, 'b']]);
+    assert.deepEqual(adapter.values, before);
+
+    //Depois do rollback, as gravações voltam a ir direto para a planilha
+    sheet.save({ id: 1, valor: 11 });
+    assert.deepEqual(adapter.values[1], [1, 'a', 11]);
+  });
+
+  it('exige uma transação em andamento', () => {
+    const { sheet } = createSheet();
+
+    assert.throws(() => sheet.rollback(), { code: 'NO_TRANSACTION' });
+    assert.throws(() => sheet.commit(), { code: 'NO_TRANSACTION' });
+
+    sheet.beginTransaction();
+    assert.throws(() => sheet.beginTransaction(), { code: 'ALREADY_IN_TRANSACTION' });
+  });
+});